@@ -13,8 +13,14 @@ const Decoder = require('./src/Decoder').Decoder;
 const Parser = require('./src/Parser').Parser;
 const Formatter = require('./src/Formatter').Formatter;
 const Assembler = require('./src/Assembler').Assembler;
+const Disassembler = require('./src/Disassembler').Disassembler;
+const Verifier = require('./src/Verifier').Verifier;
 const Compiler = require('./src/Compiler').Compiler;
+const Optimizer = require('./src/Optimizer').Optimizer;
 const Analyzer = require('./src/Analyzer').Analyzer;
+const Resolver = require('./src/Resolver').Resolver;
+const Interpreter = require('./src/Interpreter').Interpreter;
+const Intrinsics = require('./src/Intrinsics').Intrinsics;
 
 
 /**
@@ -34,11 +40,16 @@ const Analyzer = require('./src/Analyzer').Analyzer;
 exports.api = function(debug) {
     // validate the parameters
     this.debug = debug || 0;  // default is off
+    const intrinsics = new Intrinsics(this.debug);  // each compiler has its own extensions
     const parser = new Parser(this.debug);
-    const decoder = new Decoder(this.debug);
-    const compiler = new Compiler(this.debug);
-    const assembler = new Assembler(this.debug);
+    const decoder = new Decoder(intrinsics, this.debug);
+    const compiler = new Compiler(intrinsics, this.debug);
+    const optimizer = new Optimizer(this.debug);
+    const assembler = new Assembler(intrinsics, this.debug);
+    const disassembler = new Disassembler(intrinsics, this.debug);
+    const verifier = new Verifier(intrinsics, this.debug);
     const analyzer = new Analyzer(this.debug);
+    const interpreter = new Interpreter(intrinsics, this.debug);
 
     return {
 
@@ -66,9 +77,30 @@ exports.api = function(debug) {
          * @param {DocumentRepository} repository The document repository from which to retrieve
          * ancestral type definitions.
          * @param {Catalog} type The type definition to be compiled.
+         * @param {Object} options An optional object containing the compilation options
+         * (e.g. {optimization: 2}).
+         * @returns {Catalog} A catalog mapping the symbol for each method to a list of the
+         * warnings that were generated while compiling that method.
          */
-        compileType: async function(repository, type) {
-            await compiler.compileType(repository, type);
+        compileType: async function(repository, type, options) {
+            return await compiler.compileType(repository, type, options);
+        },
+
+        /**
+         * This function resolves the types that a type definition depends on through its
+         * parent, libraries and interfaces. Build tools may use the resulting dependency graph
+         * to order the compilation of related types.
+         *
+         * @param {DocumentRepository} repository The document repository from which to retrieve
+         * ancestral type definitions.
+         * @param {Catalog} type The type definition whose dependencies are to be resolved.
+         * @returns {Catalog} A catalog mapping the name of each type that the type definition
+         * depends on to a list of the names of the types it depends on directly, ordered so
+         * that each type follows the types it depends on.
+         */
+        resolveType: async function(repository, type) {
+            const resolver = new Resolver(repository, this.debug);
+            return await resolver.resolveType(type);
         },
 
         /**
@@ -81,9 +113,24 @@ exports.api = function(debug) {
          * compiled.
          * @param {Symbol} symbol The symbol associated with the method.
          * @param {Catalog} method The method being compiled.
+         * @returns {List} A list of the warnings that were generated while compiling the method.
          */
         compileMethod: async function(repository, type, symbol, method) {
-            await compiler.compileMethod(repository, type, symbol, method);
+            return await compiler.compileMethod(repository, type, symbol, method);
+        },
+
+        /**
+         * This function optimizes the Bali Virtual Machine™ instructions contained in a
+         * compiled method context prior to their being assembled into bytecode.
+         *
+         * @param {Catalog} type A catalog containing the type context for the method being
+         * optimized.
+         * @param {Catalog} method A catalog containing the compiled method context.
+         * @param {Number} level The level of optimization to be applied [0..2].
+         * @returns {List} A list of the source statements that can never be reached.
+         */
+        optimizeMethod: function(type, method, level) {
+            return optimizer.optimizeMethod(type, method, level);
         },
 
         /**
@@ -99,6 +146,69 @@ exports.api = function(debug) {
             assembler.assembleMethod(type, method);
         },
 
+        /**
+         * This function disassembles the bytecode contained in an assembled method context
+         * back into the corresponding Bali Nebula™ assembly code. Since the original labels
+         * are not part of the bytecode, a label is synthesized for each address that is the
+         * target of a jump or exception handler.
+         *
+         * @param {Catalog} type A catalog containing the type context for the method being
+         * disassembled.
+         * @param {Catalog} method A catalog containing the assembled method context.
+         * @param {Number} indentation An optional number of levels to indent the output.
+         * @returns {String} A string containing the corresponding assembly code.
+         */
+        disassembleMethod: function(type, method, indentation) {
+            const instructions = disassembler.disassembleMethod(type, method);
+            const formatter = new Formatter(this.debug);
+            return formatter.formatInstructions(instructions, indentation);
+        },
+
+        /**
+         * This function verifies the structural safety of the bytecode for each method in an
+         * assembled type. An exception is thrown if the bytecode for any method fails
+         * verification. A type whose bytecode fails verification should not be stored or
+         * executed.
+         *
+         * @param {Catalog} type A catalog containing the assembled type to be verified.
+         */
+        verifyType: function(type) {
+            verifier.verifyType(type);
+        },
+
+        /**
+         * This function verifies the structural safety of the bytecode for an assembled
+         * method. It checks that each jump and handler address is within the method, that
+         * each operand refers to something that exists, that each intrinsic function is
+         * called with a valid number of arguments, and that the depth of the component
+         * stack is consistent on all paths. An exception is thrown if the bytecode fails
+         * verification.
+         *
+         * @param {Catalog} type A catalog containing the type context for the method being
+         * verified.
+         * @param {Catalog} method A catalog containing the assembled method context.
+         */
+        verifyMethod: function(type, method) {
+            verifier.verifyMethod(type, method);
+        },
+
+        /**
+         * This function executes the bytecode for a compiled and assembled method locally
+         * using a reference interpreter. Any access to documents, contracts and message bags
+         * is delegated to the stub functions in the environment object.
+         *
+         * @param {Object} environment An object containing the stub functions for the environment.
+         * @param {Catalog} type A catalog containing the type context for the method being
+         * executed.
+         * @param {Catalog} method A catalog containing the compiled method context.
+         * @param {Component} target The component on which the method is being executed.
+         * @param {List} argumentz An optional list of the arguments passed to the method.
+         * @returns {Component} The result of executing the method.
+         */
+        executeMethod: async function(environment, type, method, target, argumentz) {
+            return await interpreter.executeMethod(environment, type, method, target, argumentz);
+        },
+
         /**
          * This function analyzes the specified document to verify its structure against its
          * type definition.
@@ -161,10 +271,11 @@ exports.api = function(debug) {
          * is valid.
          *
          * @param {Number} instruction The instruction to be validated.
+         * @param {Number} extension The optional upper bits of the operand from an extension prefix.
          * @return {Boolean} Whether or not the instruction is valid.
          */
-        isValid: function(instruction) {
-            return decoder.instructionIsValid(instruction);
+        isValid: function(instruction, extension) {
+            return decoder.instructionIsValid(instruction, extension);
         },
 
         /**
@@ -181,20 +292,33 @@ exports.api = function(debug) {
          * This function decodes the modifier for a Bali Virtual Machine™ instruction.
          *
          * @param {Number} instruction The instruction to be decoded.
+         * @param {Number} extension The optional upper bits of the operand from an extension prefix.
          * @return {Number} The decoded modifier.
          */
-        modifier: function(instruction) {
-            return decoder.decodeModifier(instruction);
+        modifier: function(instruction, extension) {
+            return decoder.decodeModifier(instruction, extension);
         },
 
         /**
          * This function decodes the operand for a Bali Virtual Machine™ instruction.
          *
          * @param {Number} instruction The instruction to be decoded.
+         * @param {Number} extension The optional upper bits of the operand from an extension prefix.
          * @return {Number} The decoded operand.
          */
-        operand: function(instruction) {
-            return decoder.decodeOperand(instruction);
+        operand: function(instruction, extension) {
+            return decoder.decodeOperand(instruction, extension);
+        },
+
+        /**
+         * This function determines whether or not a Bali Virtual Machine™ instruction is an
+         * extension prefix containing the upper bits of the operand for the next instruction.
+         *
+         * @param {Number} instruction The instruction to be decoded.
+         * @return {Boolean} Whether or not the instruction is an extension prefix.
+         */
+        isExtension: function(instruction) {
+            return decoder.isExtension(instruction);
         },
 
         /**
@@ -219,6 +343,57 @@ exports.api = function(debug) {
          */
         string: function(instruction) {
             return decoder.instructionToString(instruction);
+        },
+
+        /**
+         * This function returns the signature of the specified intrinsic function from the
+         * registry shared by this compiler, assembler and virtual machine. The signature
+         * contains the index of the intrinsic function, the minimum and maximum number of
+         * arguments it accepts, and the types of its arguments and result.
+         *
+         * @param {String} name The name of the intrinsic function (e.g. '$sum').
+         * @return {Object} The signature of the intrinsic function, or undefined if it is unknown.
+         */
+        intrinsic: function(name) {
+            return intrinsics.getSignature(name);
+        },
+
+        /**
+         * This function registers a named set of additional intrinsic functions. Each
+         * function is assigned an index in the range reserved for extensions and may then
+         * be called from procedures compiled by this compiler like any other intrinsic
+         * function. Each type that is compiled against the extensions records the name of
+         * the set and the index and number of arguments of each of its functions in its
+         * $extensions attribute, and the virtual machine refuses to execute a type whose
+         * extensions have not been registered with exactly the same signatures. The functions
+         * object maps the name of each intrinsic function (e.g. '$roundCurrency') to its
+         * signature:
+         * <pre>
+         *   minimum:        the minimum number of arguments (the default is zero)
+         *   maximum:        the maximum number of arguments (the default is the minimum)
+         *   argumentz:      an optional array of the allowed types for each argument
+         *   result:         the optional type of the result
+         *   implementation: the JavaScript function that implements the intrinsic function
+         * </pre>
+         *
+         * @param {String} name The name of the set of extensions (e.g. '/acme/currency/v1').
+         * @param {Object} functions An object mapping each function name to its signature.
+         * @return {Number} The index of the first function in the set of extensions.
+         */
+        registerExtensions: function(name, functions) {
+            return intrinsics.registerExtensions(name, functions);
+        },
+
+        /**
+         * This function unregisters a named set of additional intrinsic functions that was
+         * previously registered. The indices of its functions are released for reuse once
+         * every set registered after it has also been unregistered, and the virtual machine
+         * refuses to execute any type that was compiled against it.
+         *
+         * @param {String} name The name of the set of extensions (e.g. '/acme/currency/v1').
+         */
+        unregisterExtensions: function(name) {
+            intrinsics.unregisterExtensions(name);
         }
     };
 };
@@ -41,6 +41,8 @@ exports.Analyzer = Analyzer;
 
 /**
  * This method analyzes the specified document for structural consistency against its type definition.
+ * A symbol attribute whose type is an enumeration type (a type definition with an '$enumeration'
+ * attribute listing the allowed symbols) must be one of the enumerated symbols.
  *
  * @param {DocumentRepository} repository The repository maintaining the type definition documents.
  * @param {Catalog} document The document to be analyzed.
@@ -112,7 +114,7 @@ const analyzeParameterizedComponent = async function(repository, parameterizedTy
             const symbol = association.getKey();
             const definition = association.getValue();
             const attribute = component.getAttribute(symbol);
-            validateAttributeType(definition, symbol, component, attribute, debug);
+            await validateAttributeType(repository, definition, symbol, component, attribute, debug);
         }
 
         // check for additional attributes in the catalog
@@ -191,6 +193,14 @@ const retrieveAttributeDefinitions = async function(repository, name, debug) {
 };
 
 
+const retrieveEnumeration = async function(repository, name) {
+    if (!name || !name.isType('/bali/strings/Name')) return;  // not a named type
+    const contract = await repository.retrieveContract(name.toLiteral());
+    if (!contract) return;  // the type is reported as incorrect instead
+    return contract.getAttribute('$document').getAttribute('$enumeration');
+};
+
+
 const validateComponentType = function(component, expectedType, debug) {
     if (isType(component, expectedType)) return;
     const actualType = getType(component);
@@ -208,7 +218,7 @@ const validateComponentType = function(component, expectedType, debug) {
 };
 
 
-const validateAttributeType = function(definition, symbol, catalog, attribute, debug) {
+const validateAttributeType = async function(repository, definition, symbol, catalog, attribute, debug) {
     // undefined attributes must have a default value in the definition
     if (attribute === undefined) {
         if (definition.getAttribute('$default')) return;
@@ -226,8 +236,27 @@ const validateAttributeType = function(definition, symbol, catalog, attribute, d
 
     const expectedType = definition.getAttribute('$type');
     if (isType(attribute, expectedType)) return;
-    // TODO: handle a symbol attribute with an enumeration type
-    const actualType = getType(component);
+
+    // check for a symbol attribute with an enumeration type
+    if (attribute.isType('/bali/strings/Symbol')) {
+        const values = await retrieveEnumeration(repository, expectedType);
+        if (values) {
+            if (values.containsItem(attribute)) return;
+            const exception = bali.exception({
+                $module: moduleName,
+                $procedure: '$validateAttributeType',
+                $exception: '$invalidEnumeration',
+                $attribute: symbol,
+                $expected: values,
+                $actual: attribute,
+                $text: '"The value of the attribute is not one of the values in its enumeration type."'
+            });
+            if (debug) console.error(exception.toString());
+            throw exception;
+        }
+    }
+
+    const actualType = getType(attribute);
     const exception = bali.exception({
         $module: moduleName,
         $procedure: '$validateAttributeType',
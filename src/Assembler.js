@@ -16,6 +16,7 @@
 const bali = require('bali-component-framework').api(this.debug);
 const Decoder = require('./Decoder').Decoder;
 const types = require('./Types');
+const EXTENSIONS_INDEX = require('./Intrinsics').EXTENSIONS_INDEX;
 const Parser = require('./Parser').Parser;
 const EOL = '\n';  // POSIX end of line character
 
@@ -33,11 +34,13 @@ const EOL = '\n';  // POSIX end of line character
  *   3: log interesting arguments, states and results to console.log
  * </pre>
  *
+ * @param {Intrinsics} intrinsics The registry of the intrinsic functions supported by the virtual machine.
  * @returns {Assembler} The new instruction assembler.
  */
-function Assembler(debug) {
+function Assembler(intrinsics, debug) {
     this.debug = debug || 0;  // default is off
-    this.decoder = new Decoder(this.debug);
+    this.intrinsics = intrinsics;
+    this.decoder = new Decoder(intrinsics, this.debug);
     return this;
 }
 Assembler.prototype.constructor = Assembler;
@@ -57,36 +60,207 @@ Assembler.prototype.assembleMethod = function(type, method) {
     var instructions = method.getAttribute('$instructions');
     const parser = new Parser(this.debug);
     instructions = parser.parseInstructions(instructions.getValue());
-    const visitor = new AssemblingVisitor(type, method, this.debug);
+    const visitor = new AssemblingVisitor(this.intrinsics, type, method, this.debug);
     instructions.acceptVisitor(visitor);
 
     // format the bytecode and add to the method context
     var bytecode = visitor.getBytecode();
+    visitor.updateAddresses(method);
     const base16 = bali.decoder(2).base16Encode(this.decoder.bytecodeToBytes(bytecode));
     bytecode = bali.component("'" + base16 + EOL + "        '" + '($encoding: $base16, $mediaType: "application/bcod")');
     method.setAttribute('$bytecode', bytecode);
 };
 
 
+/**
+ * This method records in the type context the sets of intrinsic extensions that the
+ * instructions of a method that has already been assembled depend on. It is used when the
+ * extensions of the type are rebuilt without reassembling each of its methods.
+ *
+ * @param {Catalog} type The type context for the assembled method.
+ * @param {Catalog} method The assembled method.
+ */
+Assembler.prototype.recordExtensions = function(type, method) {
+    const parser = new Parser(this.debug);
+    const instructions = parser.parseInstructions(method.getAttribute('$instructions').getValue());
+    const iterator = instructions.getIterator();
+    while (iterator.hasNext()) {
+        const instruction = iterator.getNext();
+        if (instruction.getAttribute('$operation').toInteger() !== types.CALL) continue;
+        const symbol = instruction.getAttribute('$operand').toString();
+        const index = this.intrinsics.getIndex(symbol);
+        if (index >= EXTENSIONS_INDEX) recordExtension(this.intrinsics, type, symbol);
+    }
+};
+
+
+// PRIVATE FUNCTIONS
+
+/*
+ * This function records that the type depends on the set of intrinsic extensions that
+ * defines the specified intrinsic function, along with the signatures of all of the
+ * functions in that set.
+ */
+const recordExtension = function(intrinsics, type, symbol) {
+    const name = intrinsics.getSignature(symbol).extensions;
+    var extensions = type.getAttribute('$extensions');
+    if (!extensions) {
+        extensions = bali.catalog();
+        type.setAttribute('$extensions', extensions);
+    }
+    extensions.setAttribute(bali.component(name), intrinsics.getExtensions(name));
+};
+
+
 // PRIVATE CLASSES
 
-function AssemblingVisitor(type, method, debug) {
+function AssemblingVisitor(intrinsics, type, method, debug) {
     this.debug = debug || 0;
-    this.decoder = new Decoder(this.debug);
+    this.intrinsics = intrinsics;
+    this.decoder = new Decoder(intrinsics, this.debug);
+    this.type = type;
     this.literals = type.getAttribute('$literals');
     this.constants = type.getAttribute('$constants');
     this.argumentz = method.getAttribute('$arguments');
     this.variables = method.getAttribute('$variables');
     this.messages = method.getAttribute('$messages');
     this.addresses = method.getAttribute('$addresses');
-    this.bytecode = [];
+    this.instructions = [];  // the operation, modifier and operand for each instruction
     return this;
 }
 AssemblingVisitor.prototype.constructor = AssemblingVisitor;
 
 
+/*
+ * This method encodes the instructions into bytecode. Any instruction whose operand does
+ * not fit in a single instruction is preceded by an extension prefix containing the upper
+ * bits of the operand. Since the prefixes change the addresses of the instructions that
+ * follow them, the layout is repeated until the addresses no longer change.
+ */
 AssemblingVisitor.prototype.getBytecode = function() {
-    return this.bytecode;
+    const instructions = this.instructions;
+    instructions.forEach(function(instruction) {
+        // a message sent to super is flagged in an extension prefix whatever its operand
+        instruction.extended = !instruction.label && (instruction.operand > types.MAXIMUM_OPERAND ||
+            (instruction.operation === types.SEND && instruction.modifier >= types.TO_SUPER));
+    });
+    var changed = true;
+    while (changed) {
+        changed = false;
+        var address = 1;  // cardinal based addressing
+        instructions.forEach(function(instruction) {
+            instruction.address = address;
+            address += instruction.extended ? 2 : 1;
+        });
+        instructions.forEach(function(instruction) {
+            if (instruction.label) {
+                // a label at the end of the method has no instruction following it
+                const index = this.addresses.getAttribute(instruction.label);
+                instruction.operand = index ? instructions[index.toInteger() - 1].address : address;
+                if (!instruction.extended && instruction.operand > types.MAXIMUM_OPERAND) {
+                    instruction.extended = true;
+                    changed = true;
+                }
+            }
+        }, this);
+    }
+
+    const bytecode = [];
+    instructions.forEach(function(instruction) {
+        // the SUPER flag takes the top bit of the operand of a SEND instruction
+        const maximum = instruction.operation === types.SEND ?
+            types.MAXIMUM_MESSAGE_OPERAND : types.MAXIMUM_EXTENDED_OPERAND;
+        if (instruction.operand > maximum) {
+            const exception = bali.exception({
+                $module: '/bali/compiler/Assembler',
+                $procedure: '$getBytecode',
+                $exception: '$operandOverflow',
+                $maximum: maximum,
+                $actual: instruction.operand,
+                $instruction: instruction.source,
+                $text: '"The operand for the instruction is too large to be encoded."'
+            });
+            if (this.debug) console.error(exception.toString());
+            throw exception;
+        }
+        const words = this.decoder.encodeExtendedInstruction(instruction.operation, instruction.modifier, instruction.operand);
+        bytecode.push.apply(bytecode, words);
+    }, this);
+    return bytecode;
+};
+
+
+/*
+ * This method determines whether or not any of the instructions required an extension
+ * prefix.
+ */
+AssemblingVisitor.prototype.isExtended = function() {
+    return this.instructions.some(function(instruction) {
+        return instruction.extended;
+    });
+};
+
+
+/*
+ * This method records the address in the bytecode of each label in the '$bytecodeAddresses'
+ * attribute of the method when extension prefixes have been inserted, and updates the
+ * statement source map to reflect the addresses of the instructions in the bytecode. The
+ * '$addresses' attribute keeps the index of the instruction for each label since that is
+ * what the assembler reads. A source map that was already updated by an earlier assembly
+ * of the method is not remapped again.
+ */
+AssemblingVisitor.prototype.updateAddresses = function(method) {
+    const updated = method.getAttribute('$bytecodeAddresses') !== undefined;
+    if (!this.isExtended()) {
+        method.removeAttribute('$bytecodeAddresses');
+        return;
+    }
+    const instructions = this.instructions;
+    const bytecodeAddress = function(index) {
+        return instructions[index - 1].address;
+    };
+    const addresses = bali.catalog();
+    this.addresses.toArray().forEach(function(association) {
+        addresses.setAttribute(association.getKey(), bytecodeAddress(association.getValue().toInteger()));
+    });
+    method.setAttribute('$bytecodeAddresses', addresses);
+    const statements = method.getAttribute('$statements');
+    if (statements && !updated) {
+        const entries = statements.toArray();
+        statements.emptyCollection();
+        entries.forEach(function(association) {
+            statements.setAttribute(bytecodeAddress(association.getKey().toInteger()), association.getValue());
+        });
+    }
+};
+
+
+/*
+ * This method adds an instruction with an index operand to the list of instructions to
+ * be encoded.
+ */
+AssemblingVisitor.prototype.insertInstruction = function(operation, modifier, operand, source) {
+    this.instructions.push({
+        operation: operation,
+        modifier: modifier,
+        operand: operand || 0,
+        source: source
+    });
+};
+
+
+/*
+ * This method adds an instruction whose operand is the address of a label to the list of
+ * instructions to be encoded. The address is resolved once the layout of the bytecode is
+ * known.
+ */
+AssemblingVisitor.prototype.insertAddressInstruction = function(operation, modifier, label, source) {
+    this.instructions.push({
+        operation: operation,
+        modifier: modifier,
+        label: label,
+        source: source
+    });
 };
 
 
@@ -185,17 +359,14 @@ AssemblingVisitor.prototype.visitNote = function(instruction) {
 //     'JUMP' 'TO' LABEL 'ON' 'NONE' |
 //     'JUMP' 'TO' LABEL 'ON' 'FALSE'
 AssemblingVisitor.prototype.visitJump = function(instruction) {
-    var word;
     var modifier = instruction.getAttribute('$modifier');
     if (!modifier) {
-        word = this.decoder.encodeInstruction(types.JUMP, 0, 0);  // JUMP TO NEXT INSTRUCTION
+        this.insertInstruction(types.JUMP, 0, 0, instruction);  // JUMP TO NEXT INSTRUCTION
     } else {
         modifier = modifier.toInteger();
         const label = instruction.getAttribute('$operand');
-        const address = this.addresses.getAttribute(label);
-        word = this.decoder.encodeInstruction(types.JUMP, modifier, address);
+        this.insertAddressInstruction(types.JUMP, modifier, label, instruction);
     }
-    this.bytecode.push(word);
 };
 
 
@@ -209,8 +380,8 @@ AssemblingVisitor.prototype.visitPush = function(instruction) {
     var value = instruction.getAttribute('$operand');
     switch(modifier) {
         case types.HANDLER:
-            value = this.addresses.getAttribute(value);
-            break;
+            this.insertAddressInstruction(types.PUSH, modifier, value, instruction);
+            return;
         case types.LITERAL:
             value = this.literals.getIndex(value);
             break;
@@ -221,8 +392,7 @@ AssemblingVisitor.prototype.visitPush = function(instruction) {
             value = this.argumentz.getKeys().getIndex(value);
             break;
     }
-    const word = this.decoder.encodeInstruction(types.PUSH, modifier, value);
-    this.bytecode.push(word);
+    this.insertInstruction(types.PUSH, modifier, value, instruction);
 };
 
 
@@ -233,8 +403,7 @@ AssemblingVisitor.prototype.visitPush = function(instruction) {
 //     'PULL' 'EXCEPTION'
 AssemblingVisitor.prototype.visitPull = function(instruction) {
     const modifier = instruction.getAttribute('$modifier').toInteger();
-    const word = this.decoder.encodeInstruction(types.PULL, modifier);
-    this.bytecode.push(word);
+    this.insertInstruction(types.PULL, modifier, 0, instruction);
 };
 
 
@@ -247,8 +416,7 @@ AssemblingVisitor.prototype.visitLoad = function(instruction) {
     const modifier = instruction.getAttribute('$modifier').toInteger();
     const symbol = instruction.getAttribute('$operand');
     const index = this.variables.getIndex(symbol);
-    const word = this.decoder.encodeInstruction(types.LOAD, modifier, index);
-    this.bytecode.push(word);
+    this.insertInstruction(types.LOAD, modifier, index, instruction);
 };
 
 
@@ -261,8 +429,7 @@ AssemblingVisitor.prototype.visitSave = function(instruction) {
     const modifier = instruction.getAttribute('$modifier').toInteger();
     const symbol = instruction.getAttribute('$operand');
     const index = this.variables.getIndex(symbol);
-    const word = this.decoder.encodeInstruction(types.SAVE, modifier, index);
-    this.bytecode.push(word);
+    this.insertInstruction(types.SAVE, modifier, index, instruction);
 };
 
 
@@ -275,8 +442,7 @@ AssemblingVisitor.prototype.visitDrop = function(instruction) {
     const modifier = instruction.getAttribute('$modifier').toInteger();
     const symbol = instruction.getAttribute('$operand');
     const index = this.variables.getIndex(symbol);
-    const word = this.decoder.encodeInstruction(types.DROP, modifier, index);
-    this.bytecode.push(word);
+    this.insertInstruction(types.DROP, modifier, index, instruction);
 };
 
 
@@ -287,9 +453,24 @@ AssemblingVisitor.prototype.visitDrop = function(instruction) {
 AssemblingVisitor.prototype.visitCall = function(instruction) {
     const count = instruction.getAttribute('$modifier').toInteger();
     const symbol = instruction.getAttribute('$operand');
-    const index = intrinsics.indexOf(symbol.toString());
-    const word = this.decoder.encodeInstruction(types.CALL, count, index);
-    this.bytecode.push(word);
+    const index = this.intrinsics.getIndex(symbol.toString());
+    if (!index) {
+        const exception = bali.exception({
+            $module: '/bali/compiler/Assembler',
+            $procedure: '$visitCall',
+            $exception: '$unknownIntrinsic',
+            $intrinsic: symbol,
+            $instruction: instruction,
+            $text: '"The instruction calls an unknown intrinsic function."'
+        });
+        if (this.debug) console.error(exception.toString());
+        throw exception;
+    }
+    if (index >= EXTENSIONS_INDEX) {
+        // the type depends on the extension set that defines the intrinsic function
+        recordExtension(this.intrinsics, this.type, symbol.toString());
+    }
+    this.insertInstruction(types.CALL, count, index, instruction);
 };
 
 
@@ -297,156 +478,12 @@ AssemblingVisitor.prototype.visitCall = function(instruction) {
 //     'SEND' SYMBOL 'TO' 'COMPONENT' |
 //     'SEND' SYMBOL 'TO' 'COMPONENT' 'WITH' 'ARGUMENTS' |
 //     'SEND' SYMBOL 'TO' 'DOCUMENT' |
-//     'SEND' SYMBOL 'TO' 'DOCUMENT' 'WITH' 'ARGUMENTS'
+//     'SEND' SYMBOL 'TO' 'DOCUMENT' 'WITH' 'ARGUMENTS' |
+//     'SEND' SYMBOL 'TO' 'SUPER' |
+//     'SEND' SYMBOL 'TO' 'SUPER' 'WITH' 'ARGUMENTS'
 AssemblingVisitor.prototype.visitSend = function(instruction) {
     const modifier = instruction.getAttribute('$modifier').toInteger();
     const symbol = instruction.getAttribute('$operand');
     const index = this.messages.getIndex(symbol);
-    const word = this.decoder.encodeInstruction(types.SEND, modifier, index);
-    this.bytecode.push(word);
+    this.insertInstruction(types.SEND, modifier, index, instruction);
 };
-
-const intrinsics = [
-    '$invalid',
-    '$addItem',
-    '$ancestry',
-    '$and',
-    '$arccosine',
-    '$arcsine',
-    '$arctangent',
-    '$areEqual',
-    '$areSame',
-    '$association',
-    '$attribute',
-    '$authority',
-    '$base02',
-    '$base16',
-    '$base32',
-    '$base64',
-    '$binary',
-    '$bytes',
-    '$catalog',
-    '$chain',
-    '$citation',
-    '$code',
-    '$coinToss',
-    '$comparator',
-    '$complement',
-    '$component',
-    '$conjugate',
-    '$connector',
-    '$cosine',
-    '$day',
-    '$days',
-    '$default',
-    '$degrees',
-    '$difference',
-    '$document',
-    '$doesMatch',
-    '$duplicate',
-    '$duration',
-    '$earlier',
-    '$effective',
-    '$emptyCollection',
-    '$exponential',
-    '$factorial',
-    '$first',
-    '$format',
-    '$fragment',
-    '$hasNext',
-    '$hasPrevious',
-    '$hash',
-    '$head',
-    '$hour',
-    '$hours',
-    '$html',
-    '$imaginary',
-    '$insertItem',
-    '$insertItems',
-    '$integer',
-    '$interfaces',
-    '$inverse',
-    '$isEnumerable',
-    '$isLess',
-    '$isMore',
-    '$isNegative',
-    '$isSignificant',
-    '$item',
-    '$iterator',
-    '$key',
-    '$keys',
-    '$last',
-    '$later',
-    '$levels',
-    '$list',
-    '$logarithm',
-    '$magnitude',
-    '$matchesText',
-    '$millisecond',
-    '$milliseconds',
-    '$minute',
-    '$minutes',
-    '$month',
-    '$months',
-    '$nextItem',
-    '$nextVersion',
-    '$node',
-    '$not',
-    '$now',
-    '$or',
-    '$parameters',
-    '$path',
-    '$phase',
-    '$previousItem',
-    '$procedure',
-    '$product',
-    '$query',
-    '$queue',
-    '$quotient',
-    '$radians',
-    '$random',
-    '$range',
-    '$ranking',
-    '$real',
-    '$reciprocal',
-    '$remainder',
-    '$removeAttribute',
-    '$removeHead',
-    '$removeIndex',
-    '$removeIndices',
-    '$removeItem',
-    '$removeTop',
-    '$reverseItems',
-    '$sans',
-    '$scaled',
-    '$scheme',
-    '$second',
-    '$seconds',
-    '$set',
-    '$setAttribute',
-    '$setFirst',
-    '$setItem',
-    '$setLast',
-    '$setParameter',
-    '$setValue',
-    '$shuffleItems',
-    '$sine',
-    '$size',
-    '$sortItems',
-    '$sorter',
-    '$source',
-    '$stack',
-    '$sum',
-    '$supplement',
-    '$tag',
-    '$tangent',
-    '$toEnd',
-    '$toSlot',
-    '$toStart',
-    '$top',
-    '$value',
-    '$weeks',
-    '$xor',
-    '$year',
-    '$years'
-];
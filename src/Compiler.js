@@ -18,6 +18,9 @@
 const moduleName = '/bali/compiler/Compiler';
 const bali = require('bali-component-framework').api();
 const Assembler = require('./Assembler').Assembler;
+const Optimizer = require('./Optimizer').Optimizer;
+const Resolver = require('./Resolver').Resolver;
+const types = require('./Types');
 const EOL = '\n';  // POSIX end of line character
 
 
@@ -34,10 +37,12 @@ const EOL = '\n';  // POSIX end of line character
  *   3: log interesting arguments, states and results to console.log
  * </pre>
  *
+ * @param {Intrinsics} intrinsics The registry of the intrinsic functions supported by the virtual machine.
  * @returns {Compiler} The new document compiler.
  */
-function Compiler(debug) {
+function Compiler(intrinsics, debug) {
     this.debug = debug || 0;  // default is off
+    this.intrinsics = intrinsics;
     return this;
 }
 Compiler.prototype.constructor = Compiler;
@@ -53,6 +58,7 @@ exports.Compiler = Compiler;
  */
 Compiler.prototype.cleanType = function(type) {
     type.removeAttribute('$literals');
+    type.removeAttribute('$extensions');
     var methods = type.getAttribute('$methods');
     if (methods) {
         const iterator = methods.getIterator();
@@ -78,17 +84,49 @@ Compiler.prototype.cleanMethod = function(method) {
     method.removeAttribute('$variables');
     method.removeAttribute('$messages');
     method.removeAttribute('$addresses');
+    method.removeAttribute('$bytecodeAddresses');
+    method.removeAttribute('$statements');
+    method.removeAttribute('$fingerprint');
 };
 
 
 /**
  * This method compiles and assembles each method in a type definition so that they may be
- * run on the Bali Nebula™ virtual machine.
+ * run on the Bali Nebula™ virtual machine. The following options may be specified:
+ * <pre>
+ *   optimization: the level of peephole optimization to apply to the instructions for each
+ *                 method before it is assembled (0: none (the default), 1: jumps, 2: variables)
+ *   reportUnreachable: whether or not to add a warning for each source statement that can
+ *                 never be executed (the default is true)
+ *   accumulateErrors: whether or not to keep compiling the remaining statements and methods
+ *                 after an error is found and then throw a single exception listing all of
+ *                 the errors (the default is false)
+ *   incremental:  whether or not to only recompile the methods whose procedures, parameters
+ *                 or compilation context have changed since the type was last compiled (the
+ *                 default is false)
+ * </pre>
+ * The instructions that can never be executed are removed from each method whatever the level
+ * of optimization.
+ *
+ * The literals for the type are kept in a list in the order in which they are first used. An
+ * incremental compilation keeps the existing instructions and bytecode for each unchanged
+ * method and generates no warnings for it. Any new literals are appended to the list so that
+ * the indices of the existing literals never change, and the intrinsic extensions of the type
+ * are rebuilt from the methods that remain.
+ *
+ * The type must implement a method for each operation declared by the interfaces that it
+ * supports and for each function or operation that its ancestry declares but does not
+ * implement. A '$missingImplementation' or '$signatureMismatch' error is reported for each
+ * violation.
  *
  * @param {DocumentRepository} repository The repository maintaining the type definition documents.
  * @param {Catalog} type The type definition to be compiled.
+ * @param {Object} options An optional object containing the compilation options.
+ * @returns {Catalog} A catalog mapping the symbol for each method to a list of the warnings
+ * that were generated while compiling that method.
  */
-Compiler.prototype.compileType = async function(repository, type) {
+Compiler.prototype.compileType = async function(repository, type, options) {
+    options = options || {};
     if (this.debug > 1) {
         bali.component.validateArgument(moduleName, '$compileType', '$repository', repository, [
             '/javascript/Object'
@@ -98,29 +136,93 @@ Compiler.prototype.compileType = async function(repository, type) {
         ]);
     }
 
-    // clean the type first
-    this.cleanType(type);
+    // resolve the types that the type depends on once so they are cached for every method
+    const resolver = new Resolver(repository, this.debug);
+    await resolver.resolveType(type);
 
-    const methods = type.getAttribute('$methods');
-    if (methods) {
-        // compile each method
-        const iterator = methods.getIterator();
-        while (iterator.hasNext()) {
-            const association = iterator.getNext();
-            const symbol = association.getKey();
-            const method = association.getValue();
-            await this.compileMethod(repository, type, symbol, method);
-        }
+    // clean the type first unless only the changed methods are being recompiled
+    if (options.incremental) {
+        stabilizeLiterals(type);
+        type.removeAttribute('$extensions');  // rebuilt from the unchanged and compiled methods
+    } else {
+        this.cleanType(type);
+    }
 
-        // assemble each method (must occur after the literals have been added by all compilations)
-        const assembler = new Assembler(this.debug);
-        iterator.toStart();
-        while (iterator.hasNext()) {
-            const association = iterator.getNext();
-            const method = association.getValue();
-            assembler.assembleMethod(type, method);
+    // make sure that the type implements everything that it inherits and supports
+    const errors = options.accumulateErrors ? bali.list() : undefined;
+    const violations = await checkConformance(resolver, type);
+    if (violations.length && !errors) {
+        if (this.debug) console.error(violations[0].toString());
+        throw violations[0];
+    }
+    violations.forEach(function(exception) {
+        errors.addItem(bali.catalog({
+            $method: exception.getAttribute('$method'),
+            $exception: exception.getAttribute('$exception'),
+            $text: exception.getAttribute('$text')
+        }));
+    });
+
+    // compile each method that has changed
+    const assembler = new Assembler(this.intrinsics, this.debug);
+    const warnings = bali.catalog();
+    const methods = type.getAttribute('$methods') || bali.catalog();
+    const compiled = [];  // the methods that were compiled and must be assembled
+    const iterator = methods.getIterator();
+    while (iterator.hasNext()) {
+        const association = iterator.getNext();
+        const symbol = association.getKey();
+        const method = association.getValue();
+        var fingerprint;
+        if (options.incremental) {
+            fingerprint = await fingerprintMethod(this.intrinsics, resolver, type, symbol, method, options);
+            const previous = method.getAttribute('$fingerprint');
+            const unchanged = fingerprint && previous && bali.areEqual(previous, fingerprint);
+            if (unchanged && method.getAttribute('$bytecode')) {
+                assembler.recordExtensions(type, method);
+                warnings.setAttribute(symbol, bali.list());  // the method is unchanged
+                continue;
+            }
+            this.cleanMethod(method);
         }
+        warnings.setAttribute(symbol, await this.compileMethod(resolver, type, symbol, method, errors));
+        compiled.push({symbol: symbol, method: method, fingerprint: fingerprint});
+    }
+
+    // report all of the errors at once
+    if (errors && !errors.isEmpty()) {
+        const exception = bali.exception({
+            $module: moduleName,
+            $procedure: '$compileType',
+            $exception: '$compilationErrors',
+            $errors: errors,
+            $text: '"The type definition contains errors that prevent it from being compiled."'
+        });
+        if (this.debug) console.error(exception.toString());
+        throw exception;
     }
+
+    // optimize each method (must occur before the addresses are used by the assembler)
+    const optimizer = new Optimizer(this.debug);
+    compiled.forEach(function(context) {
+        const unreachable = optimizer.optimizeMethod(type, context.method, options.optimization || 0);
+        if (options.reportUnreachable === false) return;
+        unreachable.toArray().forEach(function(statement) {
+            warnings.getAttribute(context.symbol).addItem(bali.catalog({
+                $warning: '$unreachableCode',
+                $statement: statement.getAttribute('$label'),
+                $source: statement.getAttribute('$source'),
+                $text: '"The statement can never be executed."'
+            }));
+        });
+    });
+
+    // assemble each method (must occur after the literals have been added by all compilations)
+    compiled.forEach(function(context) {
+        assembler.assembleMethod(type, context.method);
+        if (context.fingerprint) context.method.setAttribute('$fingerprint', context.fingerprint);
+    });
+    return warnings;
 };
 
 
@@ -132,8 +234,10 @@ Compiler.prototype.compileType = async function(repository, type) {
  * @param {Catalog} type The type definition containing the method to be compiled.
  * @param {Symbol} symbol The symbol of the method to be compiled.
  * @param {Catalog} method The method to be compiled.
+ * @param {List} errors An optional list to which any errors are added rather than thrown.
+ * @returns {List} A list of the warnings that were generated while compiling the method.
  */
-Compiler.prototype.compileMethod = async function(repository, type, symbol, method) {
+Compiler.prototype.compileMethod = async function(repository, type, symbol, method, errors) {
     if (this.debug > 1) {
         bali.component.validateArgument(moduleName, '$compileMethod', '$repository', repository, [
             '/javascript/Object'
@@ -149,6 +253,9 @@ Compiler.prototype.compileMethod = async function(repository, type, symbol, meth
         ]);
     }
 
+    // make sure that a missing type is reported rather than dereferenced
+    if (!(repository instanceof Resolver)) repository = new Resolver(repository, this.debug);
+
     // search for the parameters for the method
     var parameters = await searchLibraries(repository, type, symbol);
     if (!parameters) parameters = await searchInterfaces(repository, type, symbol);
@@ -161,24 +268,229 @@ Compiler.prototype.compileMethod = async function(repository, type, symbol, meth
             $method: method,
             $text: '"There are no functions or operations in the type definition that match the method."'
         });
+        if (errors) {
+            errors.addItem(bali.catalog({
+                $method: symbol,
+                $exception: exception.getAttribute('$exception'),
+                $text: exception.getAttribute('$text')
+            }));
+            return bali.list();
+        }
         if (this.debug) console.error(exception.toString());
         throw exception;
     }
 
+    // resolve the messages supported by the targets whose types are statically known
+    const messages = await resolveMessages(repository, type, parameters);
+
     // compile the method into assembly instructions
-    const visitor = new CompilingVisitor(type, method, parameters, this.debug);
+    const failures = errors ? [] : undefined;
+    const visitor = new CompilingVisitor(this.intrinsics, type, method, parameters, messages, failures, this.debug);
     const procedure = method.getAttribute('$procedure');
     procedure.getCode().acceptVisitor(visitor);
+    if (failures && failures.length > 0) {
+        failures.forEach(function(failure) {
+            errors.addItem(bali.catalog({
+                $method: symbol,
+                $statement: bali.text(failure.label),
+                $exception: failure.exception.getAttribute('$exception'),
+                $text: failure.exception.getAttribute('$text')
+            }));
+        });
+        return bali.list();
+    }
 
     // format the instructions and add to the compiled method
     var instructions = visitor.getInstructions();
     instructions = bali.text(instructions, {$mediaType: 'application/basm'});
     method.setAttribute('$instructions', instructions);
+
+    // return any warnings about the method
+    return visitor.getWarnings();
 };
 
 
 // PRIVATE FUNCTIONS
 
+/*
+ * This function makes sure that the literals for a type are kept in a list so that new
+ * literals are appended to the end of it, leaving the indices of the existing literals
+ * unchanged. The literals of a type that was compiled into a set keep their indices.
+ */
+const stabilizeLiterals = function(type) {
+    const literals = type.getAttribute('$literals');
+    if (!literals) {
+        type.setAttribute('$literals', bali.list());
+    } else if (!literals.isType('/bali/collections/List')) {
+        type.setAttribute('$literals', bali.list(literals.toArray()));
+    }
+};
+
+
+/*
+ * This function checks that a type definition implements everything that it is required to
+ * implement: each function or operation that is declared by a type in its ancestry but not
+ * implemented by that type or any of its descendants, and each operation that is declared
+ * by an interface supported by the type or its ancestry (or by an interface that those
+ * interfaces support). A type that redeclares an operation from an interface must declare
+ * the same parameter types. It returns a list of exceptions describing each violation.
+ */
+const checkConformance = async function(resolver, type) {
+    const violations = [];
+    const implemented = [];  // the symbols for the methods in the type and its ancestry
+    const declared = {};  // the first parameters that are declared for each symbol in the ancestry
+    const interfaces = [];  // the names of the interfaces supported by the type and its ancestry
+    var definition = type;
+    var name;  // the name of the ancestor, or undefined for the type itself
+    while (definition) {
+        const methods = definition.getAttribute('$methods');
+        if (methods) methods.getKeys().toArray().forEach(function(symbol) {
+            if (!implemented.includes(symbol.toString())) implemented.push(symbol.toString());
+        });
+        ['$functions', '$operations'].forEach(function(catagory) {
+            const catalog = definition.getAttribute(catagory);
+            if (catalog) catalog.getKeys().toArray().forEach(function(symbol) {
+                const message = symbol.toString();
+                if (!declared[message]) declared[message] = retrieveParameters(definition, catagory, symbol);
+                if (name && !implemented.includes(message)) {
+                    violations.push(missingImplementation(symbol, name));
+                }
+            });
+        });
+        const supported = definition.getAttribute('$interfaces');
+        if (supported) supported.toArray().forEach(function(iface) {
+            if (!interfaces.includes(iface.toLiteral())) interfaces.push(iface.toLiteral());
+        });
+        const parent = definition.getAttribute('$parent');
+        if (!parent || bali.areEqual(parent.toLiteral(), bali.pattern.NONE)) break;
+        name = parent.toLiteral();
+        definition = (await resolver.retrieveContract(name)).getAttribute('$document');
+    }
+
+    // the interfaces array grows as the interfaces that they support are found
+    for (var i = 0; i < interfaces.length; i++) {
+        const iface = (await resolver.retrieveContract(interfaces[i])).getAttribute('$document');
+        const operations = iface.getAttribute('$operations');
+        if (operations) operations.getKeys().toArray().forEach(function(symbol) {
+            const message = symbol.toString();
+            const expected = retrieveParameters(iface, '$operations', symbol);
+            if (!implemented.includes(message)) {
+                violations.push(missingImplementation(symbol, interfaces[i]));
+            } else if (declared[message] && !sameSignature(expected, declared[message])) {
+                violations.push(bali.exception({
+                    $module: moduleName,
+                    $procedure: '$compileType',
+                    $exception: '$signatureMismatch',
+                    $method: symbol,
+                    $type: bali.component(interfaces[i]),
+                    $expected: expected,
+                    $actual: declared[message],
+                    $text: '"The parameters for the operation do not match those declared by the interface."'
+                }));
+            }
+        });
+        const supported = iface.getAttribute('$interfaces');
+        if (supported) supported.toArray().forEach(function(name) {
+            if (!interfaces.includes(name.toLiteral())) interfaces.push(name.toLiteral());
+        });
+    }
+    return violations;
+};
+
+
+/*
+ * This function returns an exception describing a function or operation that is declared
+ * by the named type but is not implemented by a method.
+ */
+const missingImplementation = function(symbol, name) {
+    return bali.exception({
+        $module: moduleName,
+        $procedure: '$compileType',
+        $exception: '$missingImplementation',
+        $method: symbol,
+        $type: bali.component(name),
+        $text: '"The type does not implement a method for the declared function or operation."'
+    });
+};
+
+
+/*
+ * This function determines whether or not two parameter definitions declare the same number
+ * of parameters with the same types in the same order. The names of the parameters may differ.
+ */
+const sameSignature = function(expected, actual) {
+    const typesOf = function(parameters) {
+        return parameters.toArray().map(function(association) {
+            const parameter = association.getValue();
+            const type = parameter.getAttribute && parameter.getAttribute('$type');
+            return type ? type.toString() : 'any';
+        });
+    };
+    return typesOf(expected).join(',') === typesOf(actual).join(',');
+};
+
+
+/*
+ * This function returns a fingerprint of everything that affects the compilation of a
+ * method: its procedure, its resolved parameters, the constants for its type, the messages
+ * supported by the targets of its messages (including the methods implemented by its
+ * ancestry), the registered intrinsic extensions and the level of optimization. If the
+ * parameters for the method cannot be found the fingerprint is undefined so that the method
+ * is always recompiled and the error is reported.
+ */
+const fingerprintMethod = async function(intrinsics, repository, type, symbol, method, options) {
+    var parameters = await searchLibraries(repository, type, symbol);
+    if (!parameters) parameters = await searchInterfaces(repository, type, symbol);
+    if (!parameters) return;
+    const messages = await resolveMessages(repository, type, parameters);
+    const context = bali.catalog({
+        $procedure: method.getAttribute('$procedure'),
+        $parameters: parameters,
+        $constants: type.getAttribute('$constants') || bali.catalog(),
+        $messages: messagesCatalog(messages),
+        $extensions: extensionsList(intrinsics),
+        $optimization: options.optimization || 0
+    });
+    return bali.number(context.getHash());
+};
+
+
+/*
+ * This function returns a catalog containing the messages that were resolved for the
+ * targets of the messages sent by a method so that they can be fingerprinted.
+ */
+const messagesCatalog = function(messages) {
+    const catalog = bali.catalog();
+    Object.keys(messages).sort().forEach(function(target) {
+        const resolved = bali.catalog();
+        Object.keys(messages[target]).sort().forEach(function(message) {
+            var value = messages[target][message];
+            if (value === undefined) value = bali.pattern.NONE;
+            if (typeof value === 'string') value = bali.component(value);  // the name of an ancestor
+            resolved.setAttribute(message, value);
+        });
+        catalog.setAttribute(bali.text(target), resolved);
+    });
+    return catalog;
+};
+
+
+/*
+ * This function returns a list describing the signature of each registered intrinsic
+ * extension so that it can be fingerprinted.
+ */
+const extensionsList = function(intrinsics) {
+    const list = bali.list();
+    intrinsics.getNames().forEach(function(name) {
+        const signature = Object.assign({}, intrinsics.getSignature(name));
+        if (!signature.extensions) return;
+        delete signature.implementation;
+        list.addItem(bali.text(JSON.stringify(signature)));
+    });
+    return list;
+};
+
+
 /*
  * This function performs a recursive search of the specified type for a function definition
  * associated with the specified symbol. It searches the entire type ancestry and any libraries
@@ -251,22 +563,146 @@ const retrieveParameters = function(type, catagory, symbol) {
 };
 
 
+/*
+ * This function resolves the messages that are supported by each type that is statically
+ * known to be the type of a target of a message: the type being compiled (for '$target'),
+ * and the declared types of the arguments and constants. It returns an object mapping
+ * '$target' and the name of each type that could be resolved to an object mapping each
+ * message (e.g. '$getBalance') to its parameters. Any type that cannot be retrieved from
+ * the repository is left unresolved so that its messages are not checked. It also maps
+ * '$super' to an object mapping each message that is implemented by the ancestry of the
+ * type to the name of the nearest ancestor that implements it.
+ */
+const resolveMessages = async function(repository, type, parameters) {
+    const names = [];
+    const addName = function(name) {
+        if (name && !names.includes(name.toLiteral())) names.push(name.toLiteral());
+    };
+    if (parameters) {
+        parameters.toArray().forEach(function(association) {
+            const parameter = association.getValue();
+            if (parameter.getAttribute) addName(parameter.getAttribute('$type'));
+        });
+    }
+    const constants = type.getAttribute('$constants');
+    if (constants) {
+        constants.toArray().forEach(function(association) {
+            addName(association.getValue().getParameter('$type'));
+        });
+    }
+    const result = {};
+    try {
+        result.$target = await collectMessages(repository, type);
+        result.$super = await collectOverrides(repository, type);
+    } catch (cause) {
+        if (!isMissing(cause)) throw cause;  // otherwise the ancestry of the type is not available
+    }
+    for (var i = 0; i < names.length; i++) {
+        try {
+            const contract = await repository.retrieveContract(names[i]);
+            if (contract) result[names[i]] = await collectMessages(repository, contract.getAttribute('$document'));
+        } catch (cause) {
+            if (!isMissing(cause)) throw cause;  // otherwise the type is not available
+        }
+    }
+    return result;
+};
+
+
+/*
+ * This function determines whether or not an exception was thrown because a type was not
+ * found in the repository.
+ */
+const isMissing = function(cause) {
+    if (!cause.getAttribute) return false;
+    const exception = cause.getAttribute('$exception');
+    return !!exception && exception.toString() === '$missingType';
+};
+
+
+/*
+ * This function collects the parameters for each function and operation defined in a type,
+ * its ancestry and any libraries and interfaces supported by the types in its ancestry. The
+ * first definition that is found for each message takes precedence.
+ */
+const collectMessages = async function(repository, type) {
+    const messages = {};
+    const addMessages = function(definitions) {
+        Object.keys(definitions).forEach(function(message) {
+            if (!messages[message]) messages[message] = definitions[message];
+        });
+    };
+    while (type) {
+        ['$functions', '$operations'].forEach(function(catagory) {
+            const catalog = type.getAttribute(catagory);
+            if (catalog) {
+                catalog.getKeys().toArray().forEach(function(symbol) {
+                    const message = symbol.toString();
+                    if (!messages[message]) messages[message] = retrieveParameters(type, catagory, symbol);
+                });
+            }
+        });
+        const supported = [type.getAttribute('$libraries'), type.getAttribute('$interfaces')];
+        for (var i = 0; i < supported.length; i++) {
+            if (!supported[i]) continue;
+            const names = supported[i].toArray();
+            for (var j = 0; j < names.length; j++) {
+                const contract = await repository.retrieveContract(names[j].toLiteral());
+                addMessages(await collectMessages(repository, contract.getAttribute('$document')));
+            }
+        }
+        const parent = type.getAttribute('$parent');
+        if (!parent || bali.areEqual(parent.toLiteral(), bali.pattern.NONE)) return messages;
+        const contract = await repository.retrieveContract(parent.toLiteral());
+        type = contract.getAttribute('$document');
+    }
+};
+
+
+
+/*
+ * This function collects the name of the nearest type in the ancestry of a type (but not
+ * the type itself) that implements a method for each message.
+ */
+const collectOverrides = async function(repository, type) {
+    const overrides = {};
+    var parent = type.getAttribute('$parent');
+    while (parent && !bali.areEqual(parent.toLiteral(), bali.pattern.NONE)) {
+        const name = parent.toLiteral();
+        const contract = await repository.retrieveContract(name);
+        const ancestor = contract.getAttribute('$document');
+        const methods = ancestor.getAttribute('$methods');
+        if (methods) methods.getKeys().toArray().forEach(function(symbol) {
+            if (!overrides[symbol.toString()]) overrides[symbol.toString()] = name;
+        });
+        parent = ancestor.getAttribute('$parent');
+    }
+    return overrides;
+};
+
+
 // PRIVATE CLASSES
 
 /*
  * This private class uses the Visitor Pattern to traverse the syntax node generated
  * by the parser. It in turn uses another private class, the InstructionBuilder,
  * to construct the corresponding Bali Nebula™ virtual machine instructions for the
- * syntax node is it traversing.
+ * syntax node is it traversing. A third private class, the TypeChecker, checks the
+ * types used by each statement before it is compiled.
  */
-function CompilingVisitor(type, method, parameters, debug) {
+function CompilingVisitor(intrinsics, type, method, parameters, messages, errors, debug) {
     bali.Visitor.call(
         this,
         ['/bali/compiler/CompilingVisitor'],
         debug
     );
+    this.intrinsics = intrinsics;
     this.builder = new InstructionBuilder(type, method, parameters, this.debug);
+    this.checker = new TypeChecker(intrinsics, type, method, parameters, messages, this.debug);
+    this.parent = type.getAttribute('$parent') || bali.pattern.NONE;
+    this.ancestors = messages && messages.$super;  // the ancestor implementing each message (if resolved)
     this.temporaryVariableCount = 2;  // skip the $result-1 temporary variable
+    this.errors = errors;  // an optional array for accumulating errors rather than throwing them
     return this;
 }
 CompilingVisitor.prototype = Object.create(bali.Visitor.prototype);
@@ -284,6 +720,16 @@ CompilingVisitor.prototype.getInstructions = function() {
 };
 
 
+/**
+ * This method returns the warnings that were generated while compiling the method.
+ *
+ * @returns {List}
+ */
+CompilingVisitor.prototype.getWarnings = function() {
+    return this.builder.getWarnings();
+};
+
+
 /*
  * This method inserts the instructions that cause the VM to accept a message that
  * was retrieved from a message bag.
@@ -339,6 +785,7 @@ CompilingVisitor.prototype.visitArguments = function(node) {
  */
 // arithmeticExpression: expression ('*' | '/' | '//' | '+' | '-') expression
 CompilingVisitor.prototype.visitArithmeticExpression = function(node) {
+    if (this.foldConstant(node)) return;  // the value was calculated at compile time
     const firstOperand = node.getItem(1);
     const secondOperand = node.getItem(2);
     firstOperand.acceptVisitor(this);
@@ -404,33 +851,15 @@ CompilingVisitor.prototype.visitBoolean = function(boolean) {
 
 
 /*
- *  This method is causes the VM to jump out of the enclosing loop procedure block.
+ *  This method is causes the VM to jump out of the enclosing loop procedure block. If the
+ *  break clause names a loop (e.g. 'break loop $rows') the VM jumps out of the enclosing
+ *  loop with that name instead of the innermost one.
  */
-// breakClause: 'break' 'loop'
+// breakClause: 'break' 'loop' symbol?
 CompilingVisitor.prototype.visitBreakClause = function(node) {
     // retrieve the loop label from the parent context
-    const procedures = this.builder.stack;
-    var procedure;
-    var loopLabel;
-    const numberOfProcedures = procedures.length;
-    for (var i = 0; i < numberOfProcedures; i++) {
-        procedure = procedures[numberOfProcedures - i - 1];  // work backwards
-        loopLabel = procedure.statement.loopLabel;
-        if (loopLabel) {
-            const doneLabel = procedure.statement.doneLabel;
-            this.builder.insertJumpInstruction(doneLabel);
-            return;
-        }
-    }
-    // there was no matching enclosing loop with that label
-    const exception = bali.exception({
-        $module: moduleName,
-        $procedure: '$visitBreakClause',
-        $exception: '$noEnclosingLoop',
-        $text: 'A break statement was found with no enclosing loop.'
-    });
-    if (this.debug) console.error(exception.toString());
-    throw exception;
+    const statement = this.findLoop(node, '$visitBreakClause');
+    this.insertExit({label: statement.doneLabel, target: statement}, this.builder.stack.length - 1);
 };
 
 
@@ -563,6 +992,7 @@ CompilingVisitor.prototype.visitCollection = function(collection) {
  */
 // comparisonExpression: expression ('<' | '=' | '>' | 'IS' | 'MATCHES') expression
 CompilingVisitor.prototype.visitComparisonExpression = function(node) {
+    if (this.foldConstant(node)) return;  // the value was calculated at compile time
     const firstOperand = node.getItem(1);
     const secondOperand = node.getItem(2);
     firstOperand.acceptVisitor(this);
@@ -595,6 +1025,7 @@ CompilingVisitor.prototype.visitComparisonExpression = function(node) {
  */
 // complementExpression: 'NOT' expression
 CompilingVisitor.prototype.visitComplementExpression = function(node) {
+    if (this.foldConstant(node)) return;  // the value was calculated at compile time
     const operand = node.getItem(1);
     operand.acceptVisitor(this);
     this.builder.insertCallInstruction('$not', 1);  // not(p)
@@ -608,6 +1039,7 @@ CompilingVisitor.prototype.visitComplementExpression = function(node) {
  */
 // chainExpression: expression '&' expression
 CompilingVisitor.prototype.visitChainExpression = function(node) {
+    if (this.foldConstant(node)) return;  // the value was calculated at compile time
     const firstOperand = node.getItem(1);
     const secondOperand = node.getItem(2);
     firstOperand.acceptVisitor(this);
@@ -616,33 +1048,16 @@ CompilingVisitor.prototype.visitChainExpression = function(node) {
 };
 
 
-// continueClause: 'continue' 'loop'
+// continueClause: 'continue' 'loop' symbol?
 /*
  *  This method is causes the VM to jump to the beginning of the enclosing loop procedure block.
+ *  If the continue clause names a loop (e.g. 'continue loop $rows') the VM jumps to the
+ *  beginning of the enclosing loop with that name instead of the innermost one.
  */
 CompilingVisitor.prototype.visitContinueClause = function(node) {
     // retrieve the loop label from the parent context
-    const procedures = this.builder.stack;
-    var procedure;
-    var loopLabel;
-    const numberOfProcedures = procedures.length;
-    for (var i = 0; i < numberOfProcedures; i++) {
-        procedure = procedures[numberOfProcedures - i - 1];  // work backwards
-        loopLabel = procedure.statement.loopLabel;
-        if (loopLabel) {
-            this.builder.insertJumpInstruction(loopLabel);
-            return;
-        }
-    }
-    // there was no matching enclosing loop with that label
-    const exception = bali.exception({
-        $module: moduleName,
-        $procedure: '$visitContinueClause',
-        $exception: '$noEnclosingLoop',
-        $text: 'A continue statement was found with no enclosing loop.'
-    });
-    if (this.debug) console.error(exception.toString());
-    throw exception;
+    const statement = this.findLoop(node, '$visitContinueClause');
+    this.insertExit({label: statement.loopLabel, target: statement}, this.builder.stack.length - 1);
 };
 
 
@@ -774,6 +1189,7 @@ CompilingVisitor.prototype.visitEvaluateClause = function(node) {
  */
 // exponentialExpression: <assoc=right> expression '^' expression
 CompilingVisitor.prototype.visitExponentialExpression = function(node) {
+    if (this.foldConstant(node)) return;  // the value was calculated at compile time
     const firstOperand = node.getItem(1);
     const secondOperand = node.getItem(2);
     firstOperand.acceptVisitor(this);
@@ -806,19 +1222,49 @@ CompilingVisitor.prototype.visitFunctionExpression = function(node) {
     const functionName = '$' + node.getItem(1).toString();
     const argumentz = node.getItem(2);
     const numberOfArguments = argumentz.getSize();
-    if (numberOfArguments > 3) {
+    const signature = this.intrinsics.getSignature(functionName);
+    if (!signature) {
+        const exception = bali.exception({
+            $module: moduleName,
+            $procedure: '$visitFunctionExpression',
+            $exception: '$unknownFunction',
+            $function: node,
+            $text: '"The function is not an intrinsic function."'
+        });
+        if (this.debug) console.error(exception.toString());
+        throw exception;
+    }
+    if (numberOfArguments < signature.minimum || numberOfArguments > signature.maximum) {
         const exception = bali.exception({
             $module: moduleName,
             $procedure: '$visitFunctionExpression',
             $exception: '$argumentCount',
             $function: node,
-            $text: 'The number of arguments to a function must be three or less.'
+            $expected: bali.range(signature.minimum, '..', signature.maximum),
+            $actual: numberOfArguments,
+            $text: '"The function was called with the wrong number of arguments."'
         });
         if (this.debug) console.error(exception.toString());
         throw exception;
     }
-    argumentz.acceptVisitor(this);
-    this.builder.insertCallInstruction(functionName, numberOfArguments);  // <function>(arguments...)
+    if (numberOfArguments >= types.MAXIMUM_ARGUMENTS && signature.maximum > types.MAXIMUM_ARGUMENTS) {
+        // the VM unpacks the remaining arguments from a list that is passed as the last argument
+        const direct = types.MAXIMUM_ARGUMENTS - 1;
+        const iterator = argumentz.getIterator();
+        for (var count = 0; count < direct; count++) {
+            iterator.getNext().acceptVisitor(this);
+        }
+        this.builder.insertNoteInstruction('Place a list of the remaining arguments on the stack.');
+        this.builder.insertCallInstruction('$list', 0);  // list()
+        while (iterator.hasNext()) {
+            iterator.getNext().acceptVisitor(this);
+            this.builder.insertCallInstruction('$addItem', 2);  // addItem(list, argument)
+        }
+        this.builder.insertCallInstruction(functionName, types.MAXIMUM_ARGUMENTS);  // <function>(arguments..., list)
+    } else {
+        argumentz.acceptVisitor(this);
+        this.builder.insertCallInstruction(functionName, numberOfArguments);  // <function>(arguments...)
+    }
 };
 
 
@@ -837,6 +1283,11 @@ CompilingVisitor.prototype.visitHandleClause = function(node) {
     this.builder.insertSaveInstruction('VARIABLE', exception);
 
     const statement = this.builder.getStatementContext();
+    if (statement.finalBlock) {
+        // the VM executes the final block even if a handler block throws an exception
+        this.builder.insertPushInstruction('HANDLER', statement.abortLabel);
+        statement.handlerPushed = true;
+    }
     while (iterator.hasNext()) {
         // setup the labels
         const statement = this.builder.getStatementContext();
@@ -852,7 +1303,8 @@ CompilingVisitor.prototype.visitHandleClause = function(node) {
 
         // if the template and exception did not match the VM jumps past this exception handler
         var nextLabel = this.builder.getNextBlockPrefix() + 'HandleBlock';
-        if (statement.blockNumber === statement.blockCount) {
+        const lastBlock = statement.finalBlock ? statement.blockCount - 1 : statement.blockCount;
+        if (statement.blockNumber === lastBlock) {
             nextLabel = statement.failureLabel;
         }
         this.builder.insertJumpInstruction(nextLabel, 'ON FALSE');
@@ -863,9 +1315,14 @@ CompilingVisitor.prototype.visitHandleClause = function(node) {
 
         // the exception was handled successfully
         this.builder.insertLabel(clausePrefix + 'HandleBlockDone');
+        if (statement.handlerPushed) this.builder.insertPullInstruction('HANDLER');
         this.builder.insertJumpInstruction(statement.successLabel);
     }
 
+    // any final block must be executed before the VM tries the parent handlers
+    statement.exception = exception;
+    if (statement.finalBlock) return;
+
     // none of the exception handlers matched so the VM must try the parent handlers
     this.builder.insertLabel(statement.failureLabel);
     this.builder.insertLoadInstruction('VARIABLE', exception);
@@ -977,6 +1434,7 @@ CompilingVisitor.prototype.visitIndices = function(node) {
  */
 // inversionExpression: ('-' | '/' | '*') expression
 CompilingVisitor.prototype.visitInversionExpression = function(node) {
+    if (this.foldConstant(node)) return;  // the value was calculated at compile time
     const operand = node.getItem(1);
     operand.acceptVisitor(this);
     const operator = node.operator;
@@ -1001,6 +1459,7 @@ CompilingVisitor.prototype.visitInversionExpression = function(node) {
  */
 // logicalExpression: expression ('AND' | 'SANS' | 'XOR' | 'OR') expression
 CompilingVisitor.prototype.visitLogicalExpression = function(node) {
+    if (this.foldConstant(node)) return;  // the value was calculated at compile time
     const firstOperand = node.getItem(1);
     const secondOperand = node.getItem(2);
     firstOperand.acceptVisitor(this);
@@ -1043,22 +1502,30 @@ CompilingVisitor.prototype.visitMagnitudeExpression = function(node) {
  * a list. If the value of the expression is a name, the message and
  * its arguments are placed in a bag to be sent to the named document
  * in a separate process. Otherwise, the result of the executed procedure
- * is placed on the stack.
+ * is placed on the stack. A message sent to 'super' executes the method
+ * that is overridden by the method being compiled on the same target, so
+ * no target is placed on the stack. A variable named 'super' takes
+ * precedence.
  */
 // messageExpression: expression ('.' | '<-') message '(' arguments ')'
 CompilingVisitor.prototype.visitMessageExpression = function(node) {
     const target = node.getItem(1);
-    const recipient = (node.operator === '.') ? 'TO COMPONENT' : 'TO DOCUMENT';
     const message = node.getItem(2);
     const argumentz = node.getItem(3);
     const numberOfArguments = argumentz.getSize();
 
-    // the VM places the value of the target expression onto the top of the component stack
-    target.acceptVisitor(this);
-
     // extract the message name
     const messageName = '$' + message.toString();
 
+    // the VM places the value of the target expression onto the top of the component stack
+    var recipient = (node.operator === '.') ? 'TO COMPONENT' : 'TO DOCUMENT';
+    if (this.isSuper(node)) {
+        this.checkSuper(messageName);
+        recipient = 'TO SUPER';
+    } else {
+        target.acceptVisitor(this);
+    }
+
     // if there are arguments then compile accordingly
     if (numberOfArguments > 0) {
         this.builder.insertNoteInstruction('Place a list of the message arguments on the stack.');
@@ -1282,8 +1749,15 @@ CompilingVisitor.prototype.visitReturnClause = function(node) {
     } else {
         this.builder.insertPushInstruction('LITERAL', 'none');
     }
-    // the VM returns the result to the calling procedure
-    this.builder.insertPullInstruction('RESULT');
+    const exit = {};
+    if (this.builder.hasFinalBlocks()) {
+        // the VM saves the result while it executes the final blocks
+        exit.result = this.createTemporaryVariable('result');
+        this.builder.insertSaveInstruction('VARIABLE', exit.result);
+    }
+
+    // the VM leaves the statements that it is returning from and returns the result
+    this.insertExit(exit, this.builder.stack.length - 1);
     this.builder.requiresFinalization = false;
 };
 
@@ -1415,9 +1889,10 @@ CompilingVisitor.prototype.visitNotarizeClause = function(node) {
 /*
  * This method inserts instructions that cause the VM to attempt to execute
  * a main clause and then if any exceptions are thrown attempts to handle
- * them using a sequence of handle clauses.
+ * them using a sequence of handle clauses. Any final block is executed last
+ * however the statement is left.
  */
-// statement: comment | mainClause handleClause?
+// statement: comment | mainClause handleClause? ('finally' block)?
 CompilingVisitor.prototype.visitStatement = function(node) {
     // ignore comments
     if (node.getItem(1).isType('/bali/trees/Comment')) {
@@ -1432,30 +1907,52 @@ CompilingVisitor.prototype.visitStatement = function(node) {
     // the VM pushes any exception handlers onto the exception handler stack
     if (this.builder.hasHandler()) {
         this.builder.insertPushInstruction('HANDLER', statement.handlerLabel);
+        statement.handlerPushed = true;
     }
 
-    // the VM attempts to execute the main clause
-    statement.mainClause.acceptVisitor(this);
-
-    // the VM made it through the main clause without any exceptions
-    if (this.builder.hasBlocks()) {
-        // need a label for subclauses to jump to when done
-        this.builder.insertLabel(statement.doneLabel);
-
-        if (this.builder.hasHandler()) {
-            // the exception handlers are no longer needed
-            this.builder.insertPullInstruction('HANDLER');
-
-            // jump over the exception handlers
-            this.builder.insertJumpInstruction(statement.successLabel);
-
-            // the VM will direct any exceptions from the main clause here to be handled
-            this.builder.insertLabel(statement.handlerLabel);
-
-            // the VM tries each handler block for the exception
-            const handleClause = statement.handleClause;
-            handleClause.acceptVisitor(this);
+    const depth = this.builder.stack.length;
+    try {
+        // make sure the types of the expressions in the main clause are consistent
+        this.checker.checkClause(statement.mainClause, statement.startLabel);
+
+        // the VM attempts to execute the main clause
+        statement.mainClause.acceptVisitor(this);
+
+        // the VM made it through the main clause without any exceptions
+        if (this.builder.hasBlocks()) {
+            // need a label for subclauses to jump to when done
+            this.builder.insertLabel(statement.doneLabel);
+
+            if (this.builder.hasHandler()) {
+                // the exception handlers are no longer needed
+                this.builder.insertPullInstruction('HANDLER');
+                statement.handlerPushed = false;  // the handle clause executes without them
+
+                // jump over the exception handlers
+                this.builder.insertJumpInstruction(statement.successLabel);
+
+                // the VM will direct any exceptions from the main clause here to be handled
+                this.builder.insertLabel(statement.handlerLabel);
+
+                // the VM tries each handler block for the exception
+                const handleClause = statement.handleClause;
+                if (handleClause) {
+                    handleClause.acceptVisitor(this);
+                } else {
+                    // there are no handler blocks so the VM just saves the exception
+                    statement.exception = this.createTemporaryVariable('exception');
+                    this.builder.insertSaveInstruction('VARIABLE', statement.exception);
+                }
+
+                // the VM executes any final block whether or not there was an exception
+                if (statement.finalBlock) this.insertFinalBlock(statement);
+            }
         }
+    } catch (exception) {
+        // when accumulating errors record the error and move on to the next statement
+        if (!this.errors || !exception.getAttribute) throw exception;
+        this.errors.push({label: statement.startLabel, exception: exception});
+        this.builder.stack.length = depth;  // discard any partially compiled blocks
     }
 
     // the VM moves on to the next statement
@@ -1475,10 +1972,35 @@ CompilingVisitor.prototype.visitTag = function(tag) {
 };
 
 
+/*
+ * This method inserts the instructions that cause the VM to place a text string on the
+ * component stack. Any expressions that are embedded within the text using curly braces
+ * (e.g. "Hello {name}!") are evaluated, formatted, and chained together with the literal
+ * pieces of the text. A curly brace that is escaped with a backslash (e.g. "\{name}") is
+ * left as part of the text. The resulting text keeps any parameters of the original text.
+ *
+ * @param {Text} text The text string, which may contain embedded expressions.
+ */
 // text: TEXT | TEXT_BLOCK
 CompilingVisitor.prototype.visitText = function(text) {
-    // TODO: add instructions to first process procedure blocks embedded within text
-    this.visitElement(text);
+    if (!isTemplate(text)) {
+        this.visitElement(text);
+        return;
+    }
+    var pieces = parseTemplate(text, this.debug);
+    const parameters = text.getParameters();
+    if (typeof pieces[0] !== 'string' && parameters) pieces = [''].concat(pieces);  // holds the parameters
+    this.builder.insertNoteInstruction('Place the interpolated text on the stack.');
+    pieces.forEach(function(piece, index) {
+        if (typeof piece === 'string') {
+            // the chained text keeps the parameters of the first piece
+            this.builder.insertPushInstruction('LITERAL', bali.text(piece, index ? undefined : parameters).toString());
+        } else {
+            piece.acceptVisitor(this);
+            this.builder.insertCallInstruction('$format', 1);  // format(value)
+        }
+        if (index > 0) this.builder.insertCallInstruction('$chain', 2);  // chain(text, piece)
+    }, this);
 };
 
 
@@ -1529,7 +2051,7 @@ CompilingVisitor.prototype.visitVersion = function(version) {
  * This method inserts instructions that cause the VM to repeatedly execute a procedure
  * block while a condition expression is true.
  */
-// whileClause: 'while' expression 'do' block
+// whileClause: 'while' expression 'do' block ('as' symbol)?
 CompilingVisitor.prototype.visitWhileClause = function(node) {
     const condition = node.getItem(1);
     const block = node.getItem(2);
@@ -1538,6 +2060,7 @@ CompilingVisitor.prototype.visitWhileClause = function(node) {
     // construct the loop and done labels
     const statement = this.builder.getStatementContext();
     statement.loopLabel = clausePrefix + 'ConditionClause';
+    statement.loopName = loopName(node);
 
     // label the start of the loop
     this.builder.insertLabel(statement.loopLabel);
@@ -1561,16 +2084,25 @@ CompilingVisitor.prototype.visitWhileClause = function(node) {
  * This method inserts instructions that cause the VM to execute a procedure block for
  * each item in a collection expression.
  */
-// withClause: 'with' ('each' symbol 'in')? expression 'do' block
+// withClause: 'with' ('each' item=symbol 'in')? expression 'do' block ('as' loop=symbol)?
 CompilingVisitor.prototype.visitWithClause = function(node) {
-    const variable = node.getSize() > 2 ? node.getItem(1).toString() : this.createTemporaryVariable('item');
-    const sequence = node.getItem(-2);
-    const block = node.getItem(-1);
+    const name = loopName(node);
+    const size = name ? node.getSize() - 1 : node.getSize();
+    const sequence = node.getItem(size - 1);
+    const block = node.getItem(size);
     const clausePrefix = this.builder.getBlockPrefix();
 
     // construct the loop and done labels
     const statement = this.builder.getStatementContext();
     statement.loopLabel = clausePrefix + 'ConditionClause';
+    statement.loopName = name;
+
+    // a literal range of integers is counted through without an iterator
+    if (isCountable(sequence)) {
+        this.insertCountingLoop(sequence, size > 2 ? node.getItem(1).toString() : undefined, block);
+        return;
+    }
+    const variable = size > 2 ? node.getItem(1).toString() : this.createTemporaryVariable('item');
 
     // the VM places the value of the sequence expression onto the top of the component stack
     sequence.acceptVisitor(this);
@@ -1611,40 +2143,285 @@ CompilingVisitor.prototype.visitWithClause = function(node) {
 
 
 /*
- * This method creates a new temporary variable name. Since each variable name must
- * be unique within the scope of the procedure block being compiled, a counter is
- * used to append a unique number to the end of each temporary variable.
+ * This method inserts instructions that cause the VM to execute a procedure block for each
+ * integer in a literal range using a counter variable instead of an iterator over the range.
+ * The counter starts just before the first integer and is incremented at the top of each
+ * iteration so that a continue clause can jump there like it does for any other loop.
  */
-CompilingVisitor.prototype.createTemporaryVariable = function(name) {
-    return '$' + name + '-' + this.temporaryVariableCount++;
-};
+CompilingVisitor.prototype.insertCountingLoop = function(range, variable, block) {
+    const statement = this.builder.getStatementContext();
+    const connector = range.getConnector();
+    var first = range.getFirst().toInteger();
+    if (connector.startsWith('<')) first++;
+    var last = range.getLast().toInteger();
+    if (connector.endsWith('<')) last--;
 
+    // the VM saves the integer just before the first one in the range in a counter variable
+    const counter = this.createTemporaryVariable('counter');
+    this.builder.insertPushInstruction('LITERAL', bali.number(first - 1).toLiteral());
+    this.builder.insertSaveInstruction('VARIABLE', counter);
 
-/*
- * This method inserts instructions that cause the VM to either set
- * the value of a variable or an attribute to the value on the top of the
- * component stack.
- */
-CompilingVisitor.prototype.setRecipient = function(recipient) {
-    if (recipient.isType('/bali/strings/Symbol')) {
-        const symbol = recipient.toString();
-        this.builder.insertSaveInstruction('VARIABLE', symbol);
-    } else {
-        this.builder.insertNoteInstruction('Assign the result as the value of the attribute.');
-        this.builder.insertCallInstruction('$setAttribute', 3);
-        this.builder.insertPullInstruction('COMPONENT');
+    // label the start of the loop
+    this.builder.insertLabel(statement.loopLabel);
+
+    // the VM increments the counter
+    this.builder.insertLoadInstruction('VARIABLE', counter);
+    this.builder.insertPushInstruction('LITERAL', '1');
+    this.builder.insertCallInstruction('$sum', 2);  // sum(counter, 1)
+    this.builder.insertSaveInstruction('VARIABLE', counter);
+
+    // the VM jumps past the end of the loop if the counter is past the last integer in the range
+    this.builder.insertPushInstruction('LITERAL', bali.number(last + 1).toLiteral());
+    this.builder.insertLoadInstruction('VARIABLE', counter);
+    this.builder.insertCallInstruction('$isMore', 2);  // isMore(last + 1, counter)
+    this.builder.insertJumpInstruction(statement.doneLabel, 'ON FALSE');
+
+    // the VM saves the counter in the variable if needed
+    if (variable) {
+        this.builder.insertLoadInstruction('VARIABLE', counter);
+        this.builder.insertSaveInstruction('VARIABLE', variable);
     }
-};
 
+    // the VM executes the block
+    block.acceptVisitor(this);
+
+    // the VM jumps to the top of the loop for the next iteration
+    const statementPrefix = this.builder.getStatementPrefix();
+    const repeatLabel = statementPrefix + 'ConditionRepeat';
+    this.builder.insertLabel(repeatLabel);
+    this.builder.insertJumpInstruction(statement.loopLabel);
+};
 
-// PRIVATE FUNCTIONS
 
 /*
- * This function defines a missing stack function for the standard Array class.
- * The push(item) and pop() methods are already defined.
+ * This method inserts the instructions that cause the VM to execute the final block of a
+ * statement whether the main clause succeeded, one of its handler blocks handled an
+ * exception, or the exception must be rethrown to the parent handlers. In the last case
+ * the exception is rethrown after the final block has been executed. The same goes for an
+ * exception that is thrown by one of the handler blocks. Any return, break or continue
+ * clause that left the statement early is resumed after the final block has been executed.
  */
-Array.prototype.peek = function() {
-    return this[this.length - 1];
+CompilingVisitor.prototype.insertFinalBlock = function(statement) {
+    const clausePrefix = this.builder.getBlockPrefix();
+    const pending = this.createTemporaryVariable('pending');
+    const guarded = statement.handlerPushed;  // the handler blocks are guarded by a handler
+    statement.handlerPushed = false;
+
+    // none of the exception handlers matched so the VM saves the exception for later
+    this.builder.insertLabel(statement.failureLabel);
+    if (guarded) this.builder.insertPullInstruction('HANDLER');
+    this.builder.insertLoadInstruction('VARIABLE', statement.exception);
+    if (guarded) this.builder.insertLabel(statement.abortLabel);
+    this.builder.insertSaveInstruction('VARIABLE', pending);
+    if (statement.exit) this.clearExit(statement);
+    this.builder.insertJumpInstruction(statement.finalLabel);
+
+    // the VM encountered no exceptions or was able to handle them
+    this.builder.insertLabel(statement.successLabel);
+    this.builder.insertPushInstruction('LITERAL', 'none');
+    this.builder.insertSaveInstruction('VARIABLE', pending);
+    if (statement.exit) this.clearExit(statement);
+
+    // the VM executes the final block
+    this.builder.insertLabel(statement.finalLabel);
+    statement.finalizing = true;
+    statement.finalBlock.acceptVisitor(this);
+    statement.finalizing = false;
+    this.builder.insertLabel(clausePrefix + 'FinalBlockDone');
+
+    // the VM resumes any return, break or continue clause that left the statement early
+    const count = statement.exits.length;
+    statement.exits.forEach(function(exit, index) {
+        const number = index + 1;
+        if (number > 1) this.builder.insertLabel(clausePrefix + 'FinalBlockExit' + number);
+        this.builder.insertLoadInstruction('VARIABLE', statement.exit);
+        this.builder.insertPushInstruction('LITERAL', number.toString());
+        this.builder.insertCallInstruction('$areEqual', 2);  // areEqual(exit, number)
+        const nextLabel = number < count ? clausePrefix + 'FinalBlockExit' + (number + 1) : clausePrefix + 'FinalBlockRethrow';
+        this.builder.insertJumpInstruction(nextLabel, 'ON FALSE');
+        this.insertExit(exit, this.builder.stack.length - 2);  // continue with the outer statements
+    }, this);
+
+    // the VM rethrows any exception that was not handled
+    if (count) this.builder.insertLabel(clausePrefix + 'FinalBlockRethrow');
+    this.builder.insertLoadInstruction('VARIABLE', pending);
+    this.builder.insertJumpInstruction(statement.finishedLabel, 'ON NONE');
+    this.builder.insertLoadInstruction('VARIABLE', pending);
+    this.builder.insertPullInstruction('EXCEPTION');
+    this.builder.insertLabel(statement.finishedLabel);
+};
+
+
+/*
+ * This method inserts the instructions that cause the VM to record that the statement was
+ * not left early by a return, break or continue clause.
+ */
+CompilingVisitor.prototype.clearExit = function(statement) {
+    this.builder.insertPushInstruction('LITERAL', 'none');
+    this.builder.insertSaveInstruction('VARIABLE', statement.exit);
+};
+
+
+/*
+ * This method inserts the instructions that cause the VM to leave the statements enclosing
+ * a return, break or continue clause, starting with the statement in the procedure context
+ * at the specified depth. The VM removes the exception handlers for each statement that it
+ * leaves. If one of the statements has a final block the VM records the exit and jumps to
+ * the final block, which then resumes the exit. Otherwise the VM jumps to the label for the
+ * exit, or returns the result if there is no label. The target statement of a break or
+ * continue clause, and the statements enclosing it, are not left.
+ */
+CompilingVisitor.prototype.insertExit = function(exit, depth) {
+    const procedures = this.builder.stack;
+    for (var i = depth; i >= 0; i--) {  // work backwards
+        const statement = procedures[i].statement;
+        if (!statement) continue;
+        if (statement === exit.target) break;
+        if (statement.handlerPushed) this.builder.insertPullInstruction('HANDLER');
+        if (statement.finalBlock && !statement.finalizing) {
+            if (!statement.exit) statement.exit = this.createTemporaryVariable('exit');
+            const index = statement.exits.push(exit);
+            this.builder.insertPushInstruction('LITERAL', index.toString());
+            this.builder.insertSaveInstruction('VARIABLE', statement.exit);
+            this.builder.insertJumpInstruction(statement.finalLabel);
+            return;
+        }
+    }
+    if (exit.label) {
+        this.builder.insertJumpInstruction(exit.label);
+        return;
+    }
+    if (exit.result) this.builder.insertLoadInstruction('VARIABLE', exit.result);
+    this.builder.insertPullInstruction('RESULT');
+};
+
+
+/*
+ * This method searches the enclosing statements for the loop that is the target of a break
+ * or continue clause and returns its statement context. If the clause names a loop then the
+ * innermost enclosing loop with that name is the target, otherwise the innermost enclosing
+ * loop is the target.
+ */
+CompilingVisitor.prototype.findLoop = function(node, procedure) {
+    const name = loopName(node);
+    const procedures = this.builder.stack;
+    for (var i = procedures.length - 1; i >= 0; i--) {  // work backwards
+        const statement = procedures[i].statement;
+        if (statement.loopLabel && (!name || statement.loopName === name)) return statement;
+    }
+    // there was no matching enclosing loop with that name
+    const clause = procedure === '$visitBreakClause' ? 'break' : 'continue';
+    const exception = bali.exception(name ? {
+        $module: moduleName,
+        $procedure: procedure,
+        $exception: '$noMatchingLoop',
+        $loop: bali.component(name),
+        $text: '"A ' + clause + ' statement names a loop that does not enclose it."'
+    } : {
+        $module: moduleName,
+        $procedure: procedure,
+        $exception: '$noEnclosingLoop',
+        $text: '"A ' + clause + ' statement was found with no enclosing loop."'
+    });
+    if (this.debug) console.error(exception.toString());
+    throw exception;
+};
+
+
+/*
+ * This method determines whether or not a message expression sends its message to 'super'
+ * rather than to the value of an argument, constant or local variable named 'super'.
+ */
+CompilingVisitor.prototype.isSuper = function(node) {
+    const target = node.getItem(1);
+    if (node.operator !== '.' || !target.isType('/bali/trees/Variable')) return false;
+    return target.toString() === 'super' && !this.checker.isVariable('$super');
+};
+
+
+/*
+ * This method checks that a message may be sent to 'super'. An exception is thrown if the
+ * type being compiled has no parent, or if its ancestry was resolved and no ancestor
+ * implements a method for the message. The method itself is found when it is executed.
+ */
+CompilingVisitor.prototype.checkSuper = function(message) {
+    var exception;
+    if (bali.areEqual(this.parent, bali.pattern.NONE)) {
+        exception = bali.exception({
+            $module: moduleName,
+            $procedure: '$visitMessageExpression',
+            $exception: '$missingParent',
+            $message: bali.component(message),
+            $text: '"A message was sent to super from a type that has no parent."'
+        });
+    } else if (this.ancestors && !this.ancestors[message]) {
+        exception = bali.exception({
+            $module: moduleName,
+            $procedure: '$visitMessageExpression',
+            $exception: '$missingParentMethod',
+            $message: bali.component(message),
+            $parent: this.parent,
+            $text: '"No type in the ancestry implements a method for the message sent to super."'
+        });
+    } else {
+        return;
+    }
+    if (this.debug) console.error(exception.toString());
+    throw exception;
+};
+
+
+/*
+ * This method creates a new temporary variable name. Since each variable name must
+ * be unique within the scope of the procedure block being compiled, a counter is
+ * used to append a unique number to the end of each temporary variable.
+ */
+CompilingVisitor.prototype.createTemporaryVariable = function(name) {
+    return '$' + name + '-' + this.temporaryVariableCount++;
+};
+
+
+/*
+ * This method inserts instructions that cause the VM to either set
+ * the value of a variable or an attribute to the value on the top of the
+ * component stack.
+ */
+CompilingVisitor.prototype.setRecipient = function(recipient) {
+    if (recipient.isType('/bali/strings/Symbol')) {
+        const symbol = recipient.toString();
+        this.builder.insertSaveInstruction('VARIABLE', symbol);
+    } else {
+        this.builder.insertNoteInstruction('Assign the result as the value of the attribute.');
+        this.builder.insertCallInstruction('$setAttribute', 3);
+        this.builder.insertPullInstruction('COMPONENT');
+    }
+};
+
+
+/*
+ * This method attempts to evaluate an expression at compile time. If all of the operands
+ * in the expression are literal elements the resulting value is placed on the component
+ * stack as a single literal and true is returned. Otherwise, no instructions are inserted
+ * and false is returned.
+ */
+CompilingVisitor.prototype.foldConstant = function(node) {
+    const value = evaluateConstant(node);
+    if (value) {
+        this.builder.insertPushInstruction('LITERAL', value.toLiteral());
+        return true;
+    }
+    return false;
+};
+
+
+// PRIVATE FUNCTIONS
+
+/*
+ * This function defines a missing stack function for the standard Array class.
+ * The push(item) and pop() methods are already defined.
+ */
+Array.prototype.peek = function() {
+    return this[this.length - 1];
 };
 
 
@@ -1669,6 +2446,268 @@ function countBlocks(clause) {
 }
 
 
+/*
+ * This function returns the name of a loop, or of the loop targeted by a break or continue
+ * clause (e.g. 'while ... do {...} as $rows' or 'break loop $rows'). The name is an optional
+ * symbol that follows everything else in the clause.
+ *
+ * @param {Node} clause The loop, break or continue clause.
+ * @returns {String} The name of the loop, or undefined if it is not named.
+ */
+function loopName(clause) {
+    if (clause.isEmpty()) return;
+    const name = clause.getItem(-1);
+    if (name.isType('/bali/strings/Symbol')) return name.toString();
+}
+
+
+/*
+ * This function determines whether or not a sequence is a literal range of integers that
+ * can be counted through without an iterator.
+ */
+function isCountable(sequence) {
+    if (!sequence.isType('/bali/collections/Range') || sequence.getParameters()) return false;
+    const first = sequence.getFirst();
+    const last = sequence.getLast();
+    return isInteger(first) && isInteger(last);
+}
+
+
+/*
+ * This function determines whether or not a component is a literal integer.
+ */
+function isInteger(component) {
+    return component !== undefined && component.isType('/bali/elements/Number') &&
+        !component.getParameters() && component.isInteger;
+}
+
+
+/*
+ * This function determines whether or not the specified variable is a temporary variable
+ * generated by the compiler (e.g. '$result-1').
+ */
+function isTemporary(symbol) {
+    return symbol.includes('-');
+}
+
+
+/*
+ * This function determines whether or not a component is a literal element that can be
+ * used as an operand in an expression that is evaluated at compile time. A template is
+ * never literal since its embedded expressions must be evaluated at runtime.
+ */
+function isLiteral(component) {
+    return component.getAncestry().includes('/bali/abstractions/Element') && !component.getParameters() &&
+        !isTemplate(component);
+}
+
+
+/*
+ * This function evaluates an expression at compile time using the component framework.
+ * It returns the resulting literal element, or undefined if any of the operands are not
+ * literal elements or the expression cannot be evaluated at compile time.
+ *
+ * @param {Component} node The expression to be evaluated.
+ * @returns {Element} The resulting value of the expression.
+ */
+function evaluateConstant(node) {
+    if (isLiteral(node)) return node;
+    const evaluate = EVALUATORS[node.getType()];
+    if (!evaluate) return;
+    const operands = node.toArray().map(evaluateConstant);
+    if (operands.includes(undefined)) return;
+    try {
+        const value = evaluate(node.operator, operands);
+        if (value && isLiteral(value)) return value;
+    } catch (cause) {
+        // leave it to the VM to raise the exception at runtime
+    }
+}
+
+
+/*
+ * This function determines whether or not a text string is a template whose embedded
+ * expressions must be interpolated. A text string is a template if it contains a curly
+ * brace that is not escaped with a backslash.
+ */
+function isTemplate(component) {
+    if (!component.isType('/bali/strings/Text')) return false;
+    return /(^|[^\\])(\\\\)*\{/.test(component.getValue());
+}
+
+
+/*
+ * This function splits a template into its literal pieces and the expressions that are
+ * embedded within it using curly braces. A curly brace that is escaped with a backslash
+ * (e.g. '\\{') is left as part of the literal text. The parsed pieces are cached since the
+ * type checker and compiler both need them.
+ *
+ * @param {Text} text The text string to be split.
+ * @param {Number} debug The level of debugging to apply.
+ * @returns {Array} An array of the literal strings and expressions in order.
+ */
+function parseTemplate(text, debug) {
+    var pieces = TEMPLATES.get(text);
+    if (pieces) return pieces;
+    pieces = [];
+    const value = text.getValue();
+    var literal = '';
+    var index = 0;
+    while (index < value.length) {
+        const character = value.charAt(index);
+        if (character === '\\') {
+            literal += value.slice(index, index + 2);  // leave escaped characters as they are
+            index += 2;
+        } else if (character === '{') {
+            const end = matchingBrace(value, index);
+            if (end < 0) throwTemplateException(text, 'An embedded expression is missing its closing brace.', debug);
+            if (literal) pieces.push(literal);
+            pieces.push(parseExpression(text, value.slice(index + 1, end), debug));
+            literal = '';
+            index = end + 1;
+        } else {
+            literal += character;
+            index++;
+        }
+    }
+    if (literal) pieces.push(literal);
+    TEMPLATES.set(text, pieces);
+    return pieces;
+}
+
+
+/*
+ * This function returns the index of the curly brace that closes the embedded expression
+ * starting at the specified index, or -1 if there isn't one. Braces that are nested or
+ * that are within quoted text in the expression are skipped.
+ */
+function matchingBrace(value, start) {
+    var depth = 0;
+    var quoted = false;
+    for (var index = start; index < value.length; index++) {
+        const character = value.charAt(index);
+        if (character === '\\') {
+            index++;  // skip the escaped character
+        } else if (character === '"') {
+            quoted = !quoted;
+        } else if (!quoted && character === '{') {
+            depth++;
+        } else if (!quoted && character === '}') {
+            if (--depth === 0) return index;
+        }
+    }
+    return -1;
+}
+
+
+/*
+ * This function parses the source code for an expression that is embedded within a text
+ * string and returns the corresponding syntax tree.
+ */
+function parseExpression(text, source, debug) {
+    var code;
+    try {
+        code = bali.component('{' + source + '}').getCode();
+    } catch (cause) {
+        throwTemplateException(text, 'An embedded expression could not be parsed.', debug);
+    }
+    const statement = code.getSize() === 1 ? code.getItem(1) : undefined;
+    const clause = statement && statement.getSize() === 1 ? statement.getItem(1) : undefined;
+    if (!clause || !clause.isType('/bali/trees/EvaluateClause') || clause.getSize() !== 1) {
+        throwTemplateException(text, 'Only a single expression may be embedded within curly braces.', debug);
+    }
+    return clause.getItem(1);
+}
+
+
+/*
+ * This function throws an exception describing an invalid text template.
+ */
+function throwTemplateException(text, message, debug) {
+    const exception = bali.exception({
+        $module: moduleName,
+        $procedure: '$visitText',
+        $exception: '$invalidTemplate',
+        $template: text,
+        $text: '"' + message + '"'
+    });
+    if (debug) console.error(exception.toString());
+    throw exception;
+}
+
+
+/*
+ * This function determines whether or not all of the operands are of the specified type.
+ */
+function allOfType(operands, type) {
+    return operands.every(function(operand) {
+        return operand.isType(type);
+    });
+}
+
+
+const TEMPLATES = new WeakMap();  // the parsed pieces of each text string
+
+
+/*
+ * This table maps each type of expression that can be evaluated at compile time to a
+ * function that evaluates it using the same library functions as the corresponding
+ * intrinsic functions in the VM.
+ */
+const EVALUATORS = {
+    '/bali/trees/ArithmeticExpression': function(operator, operands) {
+        if (!allOfType(operands, '/bali/elements/Number')) return;
+        switch (operator) {
+            case '*': return bali.number.product(operands[0], operands[1]);
+            case '/': return bali.number.quotient(operands[0], operands[1]);
+            case '//': return bali.number.remainder(operands[0], operands[1]);
+            case '+': return bali.number.sum(operands[0], operands[1]);
+            case '-': return bali.number.difference(operands[0], operands[1]);
+        }
+    },
+    '/bali/trees/ChainExpression': function(operator, operands) {
+        if (!allOfType(operands, '/bali/strings/Text')) return;
+        return bali.text.chain(operands[0], operands[1]);
+    },
+    '/bali/trees/ComparisonExpression': function(operator, operands) {
+        switch (operator) {
+            case '<': return bali.boolean(bali.ranking(operands[0], operands[1]) < 0);
+            case '=': return bali.boolean(bali.areEqual(operands[0], operands[1]));
+            case '>': return bali.boolean(bali.ranking(operands[0], operands[1]) > 0);
+            case 'MATCHES': return bali.boolean(bali.doesMatch(operands[0], operands[1]));
+        }
+    },
+    '/bali/trees/ComplementExpression': function(operator, operands) {
+        if (!allOfType(operands, '/bali/elements/Boolean')) return;
+        return bali.boolean.not(operands[0]);
+    },
+    '/bali/trees/ExponentialExpression': function(operator, operands) {
+        if (!allOfType(operands, '/bali/elements/Number')) return;
+        return bali.number.exponential(operands[0], operands[1]);
+    },
+    '/bali/trees/InversionExpression': function(operator, operands) {
+        if (!allOfType(operands, '/bali/elements/Number')) return;
+        switch (operator) {
+            case '-': return bali.number.inverse(operands[0]);
+            case '/': return bali.number.reciprocal(operands[0]);
+            case '*': return bali.number.conjugate(operands[0]);
+        }
+    },
+    '/bali/trees/LogicalExpression': function(operator, operands) {
+        if (!allOfType(operands, '/bali/elements/Boolean')) return;
+        switch (operator) {
+            case 'AND': return bali.boolean.and(operands[0], operands[1]);
+            case 'SANS': return bali.boolean.sans(operands[0], operands[1]);
+            case 'OR': return bali.boolean.or(operands[0], operands[1]);
+            case 'XOR': return bali.boolean.xor(operands[0], operands[1]);
+        }
+    },
+    '/bali/trees/PrecedenceExpression': function(operator, operands) {
+        return operands[0];
+    }
+};
+
+
 // PRIVATE BUILDER CLASS
 
 /*
@@ -1683,7 +2722,7 @@ function InstructionBuilder(type, method, parameters, debug) {
     this.debug = debug || false;
 
     // setup the compilation context
-    this.literals = type.getAttribute('$literals') || bali.set();
+    this.literals = type.getAttribute('$literals') || bali.list();
     this.constants = type.getAttribute('$constants') || bali.catalog();
     this.argumentz = bali.catalog({$target: 'none'});  // $target is immutable and is the first argument
     if (parameters) {
@@ -1705,11 +2744,20 @@ function InstructionBuilder(type, method, parameters, debug) {
     this.addresses = bali.catalog({ }, {
         $type: bali.component('/nebula/collections/Catalog/v1($keyType: /nebula/strings/Text/v1, $valueType: /nebula/interfaces/Discrete/v1)')
     });
+    this.statements = bali.catalog({ }, {
+        $type: bali.component('/nebula/collections/Catalog/v1($keyType: /nebula/elements/Number/v1, $valueType: /nebula/collections/Catalog/v1)')
+    });
     this.address = 1;  // cardinal based addressing
+    this.lines = bali.source(method.getAttribute('$procedure')).split(EOL);  // the formatted procedure
+    this.line = 0;  // the index of the line at which to start searching for the next statement
     this.stack = [];  // stack of procedure contexts
+    this.assignments = {};  // the label of the first statement assigning each local variable
+    this.reads = {};  // the label of the first statement reading each local variable or argument
+    this.warnings = bali.list();
     this.instructions = '';
 
     // add the compilation context to the type and method
+    this.method = method;
     type.setAttribute('$literals', this.literals);
     method.setAttribute('$instructions', bali.pattern.NONE);
     method.setAttribute('$bytecode', bali.pattern.NONE);
@@ -1717,6 +2765,8 @@ function InstructionBuilder(type, method, parameters, debug) {
     method.setAttribute('$variables', this.variables);
     method.setAttribute('$messages', this.messages);
     method.setAttribute('$addresses', this.addresses);
+    method.removeAttribute('$bytecodeAddresses');  // set by the assembler if needed
+    method.setAttribute('$statements', this.statements);
 
     return this;
 }
@@ -1762,11 +2812,16 @@ InstructionBuilder.prototype.popProcedureContext = function() {
  */
 InstructionBuilder.prototype.pushStatementContext = function(node) {
     const mainClause = node.getItem(1);
-    const handleClause = node.getSize() > 1 ? node.getItem(2) : undefined;
-    const blockCount = countBlocks(mainClause) + countBlocks(handleClause);
+    var handleClause = node.getSize() > 1 ? node.getItem(2) : undefined;
+    if (handleClause && !handleClause.isType('/bali/trees/HandleClause')) handleClause = undefined;
+    var finalBlock = node.getSize() > 1 ? node.getItem(-1) : undefined;
+    if (finalBlock && !finalBlock.isType('/bali/trees/Block')) finalBlock = undefined;
+    const blockCount = countBlocks(mainClause) + countBlocks(handleClause) + (finalBlock ? 1 : 0);
     const statement = {
+        node: node,
         mainClause: mainClause,
         handleClause: handleClause,
+        finalBlock: finalBlock,
         blockCount: blockCount,
         blockNumber: 1
     };
@@ -1780,16 +2835,45 @@ InstructionBuilder.prototype.pushStatementContext = function(node) {
     if (statement.blockCount > 0) {
         statement.doneLabel = prefix + type + 'StatementDone';
     }
-    if (statement.handleClause) {
+    if (statement.handleClause || statement.finalBlock) {
         statement.handlerLabel = prefix + type + 'StatementHandler';
         statement.failureLabel = prefix + type + 'StatementFailed';
         statement.successLabel = prefix + type + 'StatementSucceeded';
     }
+    if (statement.finalBlock) {
+        statement.abortLabel = prefix + type + 'StatementAborted';
+        statement.finishedLabel = prefix + type + 'StatementFinished';
+        statement.finalLabel = prefix + statement.blockCount + '.FinalBlock';
+        statement.exits = [];  // the return, break and continue clauses that leave it early
+    }
+    this.locateStatement(statement);
 
     return procedure.statement;
 };
 
 
+/*
+ * This method finds the line and column (both unit based) of the first line of a statement
+ * within the formatted source code for the procedure. Since the statements are visited in
+ * the order that they appear in the source code, the search starts after the previous
+ * statement. The lines of a statement without blocks are skipped entirely so that any
+ * procedures it contains as literal values are not searched.
+ */
+InstructionBuilder.prototype.locateStatement = function(statement) {
+    const lines = bali.source(statement.node).split(EOL);
+    for (var index = this.line; index < this.lines.length; index++) {
+        const line = this.lines[index];
+        const column = line.length - line.trimStart().length;
+        if (line.slice(column) === lines[0]) {
+            statement.line = index + 1;
+            statement.column = column + 1;
+            this.line = statement.blockCount > 0 ? index + 1 : index + lines.length;
+            return;
+        }
+    }
+};
+
+
 /*
  * This method pops off the current statement context when the compiler is done processing
  * that statement.
@@ -1809,11 +2893,25 @@ InstructionBuilder.prototype.hasBlocks = function() {
 
 
 /*
- * This method determines whether or not the current statement contains handlers.
+ * This method determines whether or not the current statement contains handlers. A
+ * statement with a final block needs a handler so that the final block is executed
+ * even when the main clause throws an exception.
  */
 InstructionBuilder.prototype.hasHandler = function() {
     const statement = this.stack.peek().statement;
-    return statement.handleClause !== undefined;
+    return statement.handleClause !== undefined || statement.finalBlock !== undefined;
+};
+
+
+/*
+ * This method determines whether or not any of the enclosing statements has a final block
+ * that must be executed before the VM leaves it.
+ */
+InstructionBuilder.prototype.hasFinalBlocks = function() {
+    return this.stack.some(function(procedure) {
+        const statement = procedure.statement;
+        return statement !== undefined && statement.finalBlock !== undefined && !statement.finalizing;
+    });
 };
 
 
@@ -1927,11 +3025,38 @@ InstructionBuilder.prototype.insertLabel = function(label) {
 };
 
 
+/*
+ * This method records in the source map the statement that the next instruction
+ * belongs to if it differs from the statement of the previous instruction. Each
+ * entry maps the address of the first instruction in a run of instructions to the
+ * label, the first line of source code, and the line and column of that source code
+ * within the formatted procedure for the originating statement.
+ */
+InstructionBuilder.prototype.mapStatement = function() {
+    const procedure = this.stack.peek();
+    const statement = procedure ? procedure.statement : undefined;
+    if (statement && statement !== this.mappedStatement) {
+        const source = bali.source(statement.node).split(EOL)[0].replace(/"/g, '\\"');
+        const entry = bali.catalog({
+            $label: bali.text(statement.startLabel),
+            $source: bali.text(source)
+        });
+        if (statement.line) {
+            entry.setAttribute('$line', statement.line);
+            entry.setAttribute('$column', statement.column);
+        }
+        this.statements.setAttribute(this.address, entry);
+        this.mappedStatement = statement;
+    }
+};
+
+
 /*
  * This method inserts into the assembly code the specified instruction. If
  * a label is pending it is prepended to the instruction.
  */
 InstructionBuilder.prototype.insertInstruction = function(instruction) {
+    this.mapStatement();
     if (this.nextLabel) {
         this.addresses.setAttribute(this.nextLabel, this.address);
         this.instructions += EOL;
@@ -1957,6 +3082,82 @@ InstructionBuilder.prototype.insertNoteInstruction = function(comment) {
 };
 
 
+/*
+ * This method returns the label of the statement currently being compiled.
+ */
+InstructionBuilder.prototype.getStatementLabel = function() {
+    const procedure = this.stack.peek();
+    if (procedure && procedure.statement) return procedure.statement.startLabel;
+};
+
+
+/*
+ * This method records that the specified local variable or argument is being read by the
+ * current statement. A warning is generated if a local variable is read before any
+ * statement has assigned a value to it.
+ */
+InstructionBuilder.prototype.recordRead = function(symbol) {
+    if (isTemporary(symbol) || this.reads[symbol]) return;
+    const label = this.getStatementLabel();
+    this.reads[symbol] = label;
+    if (!this.argumentz.getAttribute(symbol) && !this.assignments[symbol]) {
+        this.insertWarning('$readBeforeAssignment', symbol, label,
+            'The variable is read before it has been assigned a value.');
+    }
+};
+
+
+/*
+ * This method records that the specified local variable is being assigned a value by the
+ * current statement.
+ */
+InstructionBuilder.prototype.recordAssignment = function(symbol) {
+    if (isTemporary(symbol) || this.assignments[symbol]) return;
+    this.assignments[symbol] = this.getStatementLabel();
+};
+
+
+/*
+ * This method adds a warning about a variable to the list of warnings for the method.
+ */
+InstructionBuilder.prototype.insertWarning = function(warning, symbol, label, text) {
+    this.warnings.addItem(bali.catalog({
+        $warning: warning,
+        $variable: symbol,
+        $statement: bali.text(label || ''),
+        $text: bali.text(text)
+    }));
+};
+
+
+/*
+ * This method returns the list of warnings for the method after adding warnings for any
+ * local variables that shadow arguments, local variables that are assigned values that
+ * are never read, and parameters that are never read.
+ */
+InstructionBuilder.prototype.getWarnings = function() {
+    const warnings = this.warnings;
+    Object.keys(this.assignments).forEach(function(symbol) {
+        const label = this.assignments[symbol];
+        if (this.argumentz.getAttribute(symbol)) {
+            this.insertWarning('$shadowedArgument', symbol, label,
+                'The variable has the same name as an argument so any reads of it will return the argument.');
+        } else if (!this.reads[symbol]) {
+            this.insertWarning('$unusedVariable', symbol, label,
+                'The variable is assigned a value that is never read.');
+        }
+    }, this);
+    this.argumentz.getKeys().toArray().forEach(function(key) {
+        const symbol = key.toString();
+        if (symbol !== '$target' && !this.reads[symbol]) {
+            this.insertWarning('$unusedParameter', symbol, undefined,
+                'The parameter is never read by the method.');
+        }
+    }, this);
+    return warnings;
+};
+
+
 /*
  * This method inserts a 'jump' instruction into the assembly code.
  */
@@ -1980,13 +3181,14 @@ InstructionBuilder.prototype.insertPushInstruction = function(type, value) {
             var literal = '`' + value + '`';
             instruction += literal;
             literal = bali.component(value);
-            this.literals.addItem(literal);
+            if (!this.literals.containsItem(literal)) this.literals.addItem(literal);
             break;
         case 'CONSTANT':
             instruction += value;
             break;
         case 'ARGUMENT':
             instruction += value;
+            this.recordRead(value);
             break;
     }
     this.insertInstruction(instruction);
@@ -2006,6 +3208,7 @@ InstructionBuilder.prototype.insertPullInstruction = function(type) {
  * This method inserts a 'load' instruction into the assembly code.
  */
 InstructionBuilder.prototype.insertLoadInstruction = function(type, symbol) {
+    if (type === 'VARIABLE') this.recordRead(symbol);
     const instruction = 'LOAD ' + type + ' ' + symbol;
     this.insertInstruction(instruction);
     this.variables.addItem(symbol);
@@ -2016,6 +3219,7 @@ InstructionBuilder.prototype.insertLoadInstruction = function(type, symbol) {
  * This method inserts a 'save' instruction into the assembly code.
  */
 InstructionBuilder.prototype.insertSaveInstruction = function(type, symbol) {
+    if (type === 'VARIABLE') this.recordAssignment(symbol);
     const instruction = 'SAVE ' + type + ' ' + symbol;
     this.insertInstruction(instruction);
     this.variables.addItem(symbol);
@@ -2069,3 +3273,513 @@ InstructionBuilder.prototype.finalize = function() {
     this.insertLoadInstruction('VARIABLE', '$result-1');
     this.insertPullInstruction('RESULT');
 };
+
+
+// PRIVATE TYPE CHECKER CLASS
+
+/*
+ * This helper class infers the types of the expressions in a procedure from the declared
+ * types of the arguments and attributes, the values of the constants and literals, and
+ * the result types of the intrinsic functions. Only the core element, string and collection
+ * types are tracked, all other types are unknown and unknown types are never reported as
+ * mismatches. The type of a local variable is only known if it is assigned before it is
+ * used and every value that is assigned to it has the same known type.
+ */
+function TypeChecker(intrinsics, type, method, parameters, messages, debug) {
+    this.debug = debug || false;
+    this.intrinsics = intrinsics;
+
+    // setup the type context
+    this.type = type;
+    this.constants = type.getAttribute('$constants') || bali.catalog();
+    this.attributes = declaredTypes(type.getAttribute('$attributes'));
+    this.argumentz = declaredTypes(parameters);
+    this.argumentz.$target = undefined;  // the type of the target is not tracked
+    this.messages = messages || {};  // the messages supported by each resolved type
+    this.receivers = {$target: '$target'};  // the name of the declared type of each argument and constant
+    if (parameters) {
+        parameters.toArray().forEach(function(association) {
+            const parameter = association.getValue();
+            const name = parameter.getAttribute && parameter.getAttribute('$type');
+            if (name) this.receivers[association.getKey().toString()] = name.toLiteral();
+        }, this);
+    }
+    this.constants.toArray().forEach(function(association) {
+        const name = association.getValue().getParameter('$type');
+        if (name) this.receivers[association.getKey().toString()] = name.toLiteral();
+    }, this);
+    this.variables = {};  // the inferred type of each local variable
+    this.locals = [];  // the local variables that are assigned values
+    this.checking = false;  // whether or not mismatches are reported
+
+    // infer the types of the local variables
+    const procedure = method.getAttribute('$procedure');
+    if (procedure) this.inferVariables(procedure.getCode());
+
+    return this;
+}
+TypeChecker.prototype.constructor = TypeChecker;
+
+
+/*
+ * This method checks that the types of the expressions in a main clause are consistent with
+ * the types that are expected by the intrinsic functions, messages, attributes and conditions
+ * that use them. Any blocks in the clause are checked when their statements are compiled.
+ */
+TypeChecker.prototype.checkClause = function(clause, label) {
+    this.checking = true;
+    this.label = label;
+    const items = clause.toArray().filter(function(item) {
+        return !item.isType('/bali/trees/Block');
+    });
+    switch (clause.getType()) {
+        case '/bali/trees/IfClause':
+            items.forEach(function(condition) {
+                this.expectType(condition, ['Boolean'], {});
+            }, this);
+            break;
+        case '/bali/trees/WhileClause':
+            this.expectType(items[0], ['Boolean'], {});  // any loop name follows the condition
+            break;
+        case '/bali/trees/BreakClause':
+        case '/bali/trees/ContinueClause':
+            break;  // only an optional loop name
+        case '/bali/trees/EvaluateClause':
+            const actual = this.inferType(items[items.length - 1]);
+            if (items.length > 1) {
+                const recipient = items[0];
+                const declared = this.recipientType(recipient);
+                if (clause.operator !== ':=') {
+                    this.checkCall(COMPOUND_OPERATORS[clause.operator], [declared, actual]);
+                } else if (recipient.isType('/bali/trees/Attribute') && declared && actual && declared !== actual) {
+                    this.reportMismatch({$attribute: recipient.getItem(2).getItem(1)}, [declared], actual);
+                }
+            }
+            break;
+        default:
+            items.forEach(function(item) {
+                this.inferType(item);
+            }, this);
+    }
+    this.checking = false;
+};
+
+
+/*
+ * This method makes a pass through the procedure in the order the statements would be
+ * executed and then iterates until the types inferred for the local variables stop changing.
+ */
+TypeChecker.prototype.inferVariables = function(code) {
+    const assignments = {};  // the expressions assigned to each local variable
+    const references = {};  // the type of the first reference to each local variable
+    const checker = this;
+    const reference = function(symbol, kind) {
+        if (checker.isArgumentOrConstant(symbol)) return;
+        if (!references[symbol]) references[symbol] = kind;
+        if (kind === 'read') return;
+        if (!assignments[symbol]) assignments[symbol] = [];
+        assignments[symbol].push(kind);  // an expression, a compound assignment or 'any'
+    };
+    const walk = function(component) {
+        if (component.isType('/bali/trees/Node')) {
+            const items = component.toArray();
+            switch (component.getType()) {
+                case '/bali/trees/Variable':
+                    reference('$' + component.toString(), 'read');
+                    return;
+                case '/bali/trees/EvaluateClause':
+                    if (items.length > 1 && items[0].isType('/bali/strings/Symbol')) {
+                        const symbol = items[0].toString();
+                        if (component.operator !== ':=') reference(symbol, 'read');
+                        walk(items[1]);
+                        reference(symbol, component.operator === ':=' ? items[1] : component);
+                        return;
+                    }
+                    break;
+                case '/bali/trees/CheckoutClause':
+                case '/bali/trees/HandleClause':
+                case '/bali/trees/RetrieveClause':
+                case '/bali/trees/SaveClause':
+                case '/bali/trees/WithClause':
+                    if (component.isType('/bali/trees/WithClause') && loopName(component)) {
+                        items.pop();  // the loop name is not a variable
+                    }
+                    items.forEach(function(item) {
+                        if (item.isType('/bali/strings/Symbol')) {
+                            reference(item.toString(), 'any');
+                        } else {
+                            walk(item);
+                        }
+                    });
+                    return;
+            }
+            items.forEach(walk);
+        } else {
+            expressionsIn(component).forEach(walk);
+        }
+    };
+    walk(code);
+    this.locals = Object.keys(assignments);
+
+    // only variables that are assigned before they are read can have a known type
+    const symbols = Object.keys(assignments).filter(function(symbol) {
+        return references[symbol] !== 'read';
+    });
+    var changed = true;
+    var passes = symbols.length + 1;  // each pass must infer the type of at least one more variable
+    while (changed && passes--) {
+        changed = false;
+        symbols.forEach(function(symbol) {
+            // a compound assignment must preserve the type of the variable
+            const compounds = assignments[symbol].filter(isCompound);
+            const inferred = assignments[symbol].filter(function(expression) {
+                return !isCompound(expression);
+            }).map(function(expression) {
+                return expression === 'any' ? undefined : this.inferType(expression);
+            }, this);
+            var result = inferred.every(function(type) {
+                return type && type === inferred[0];
+            }) ? inferred[0] : undefined;
+            compounds.forEach(function(clause) {
+                const operands = [result, this.inferType(clause.getItem(-1))];
+                if (this.checkCall(COMPOUND_OPERATORS[clause.operator], operands) !== result) result = undefined;
+            }, this);
+            if (result !== this.variables[symbol]) {
+                this.variables[symbol] = result;
+                changed = true;
+            }
+        }, this);
+    }
+};
+
+
+/*
+ * This method returns the short name of the type of an expression (e.g. 'Number'), or
+ * undefined if the type cannot be determined at compile time. If type checking is turned
+ * on, an exception is thrown if the expression contains a type mismatch.
+ */
+TypeChecker.prototype.inferType = function(expression) {
+    if (!expression.isType('/bali/trees/Node')) {
+        // check any expressions embedded in a collection
+        expressionsIn(expression).forEach(this.inferType, this);
+        return literalType(expression);
+    }
+    const items = expression.toArray();
+    switch (expression.getType()) {
+        case '/bali/trees/Variable':
+            return this.variableType('$' + expression.toString());
+        case '/bali/trees/PrecedenceExpression':
+            return this.inferType(items[0]);
+        case '/bali/trees/FunctionExpression':
+            return this.checkCall('$' + items[0].toString(), items[1].toArray().map(this.inferType, this));
+        case '/bali/trees/MessageExpression':
+            this.inferType(items[0]);
+            this.checkMessage(expression, items[2].toArray().map(this.inferType, this));
+            return;
+        case '/bali/trees/AttributeExpression':
+            items.forEach(this.inferType, this);
+            return this.attributeType(expression);
+        case '/bali/trees/ComparisonExpression':
+            items.forEach(this.inferType, this);
+            return 'Boolean';
+        case '/bali/trees/DefaultExpression':
+            const value = this.inferType(items[0]);
+            const otherwise = this.inferType(items[1]);
+            return value === otherwise ? value : undefined;
+        default:
+            const operands = items.map(this.inferType, this);
+            var intrinsic = OPERATORS[expression.getType()];
+            if (!intrinsic) return;
+            if (typeof intrinsic !== 'string') intrinsic = intrinsic[expression.operator];
+            return this.checkCall(intrinsic, operands);
+    }
+};
+
+
+/*
+ * This method checks the types of the arguments passed to an intrinsic function against
+ * its signature and returns the short name of the type of its result if it is known.
+ */
+TypeChecker.prototype.checkCall = function(intrinsic, argumentz) {
+    const signature = this.intrinsics.getSignature(intrinsic);
+    if (!signature) return;
+    const first = argumentz[0];
+    signature.argumentz.forEach(function(expected, index) {
+        if (index === 1 && signature.seconds && signature.seconds[first]) expected = signature.seconds[first];
+        const actual = argumentz[index];
+        if (expected === 'any' || !actual || expected.includes(actual)) return;
+        this.reportMismatch({$intrinsic: bali.component(intrinsic)}, expected, actual);
+    }, this);
+    if (signature.same && first && argumentz[1] && first !== argumentz[1]) {
+        this.reportMismatch({$intrinsic: bali.component(intrinsic)}, [first], argumentz[1]);
+    }
+    switch (signature.result) {
+        case 'any':
+            return;
+        case 'first':
+            return (signature.results && signature.results[first]) || first;
+        default:
+            return signature.result;
+    }
+};
+
+
+/*
+ * This method checks the types of the arguments passed with a message sent to the target
+ * component against the types of the parameters declared for the corresponding function
+ * or operation in the type definition.
+ */
+TypeChecker.prototype.checkMessage = function(expression, argumentz) {
+    const target = expression.getItem(1);
+    if (expression.operator !== '.' || !target.isType('/bali/trees/Variable')) return;
+    const receiver = this.receivers['$' + target.toString()];
+    const messages = this.messages[receiver];
+    if (!messages) return;  // the messages supported by the target are not known
+    const message = bali.component('$' + expression.getItem(2).toString());
+    const parameters = messages[message.toString()];
+    if (!parameters) {
+        this.reportError('$unknownMessage', {
+            $message: message,
+            $type: bali.component(receiver)
+        }, 'The message is not supported by the type of the target.');
+        return;
+    }
+    if (argumentz.length > parameters.getSize()) {
+        this.reportError('$argumentCount', {
+            $message: message,
+            $expected: parameters.getSize(),
+            $actual: argumentz.length
+        }, 'The message was sent with more arguments than it has parameters.');
+    }
+    const declared = declaredTypes(parameters);
+    parameters.getKeys().toArray().forEach(function(symbol, index) {
+        const expected = declared[symbol.toString()];
+        const actual = argumentz[index];
+        if (expected && actual && expected !== actual) {
+            this.reportMismatch({$message: message, $parameter: symbol}, [expected], actual);
+        }
+    }, this);
+};
+
+
+/*
+ * This method checks that the type of an expression is one of the expected types.
+ */
+TypeChecker.prototype.expectType = function(expression, expected, context) {
+    const actual = this.inferType(expression);
+    if (actual && !expected.includes(actual)) this.reportMismatch(context, expected, actual);
+};
+
+
+/*
+ * This method returns the short name of the type of a variable if it is known.
+ */
+TypeChecker.prototype.variableType = function(symbol) {
+    if (symbol in this.argumentz) return this.argumentz[symbol];
+    const constant = this.constants.getAttribute(symbol);
+    if (constant) return literalType(constant);
+    return this.variables[symbol];
+};
+
+
+/*
+ * This method determines whether or not a symbol refers to an argument or constant rather
+ * than a local variable.
+ */
+TypeChecker.prototype.isArgumentOrConstant = function(symbol) {
+    return symbol in this.argumentz || this.constants.getAttribute(symbol) !== undefined;
+};
+
+
+/*
+ * This method determines whether or not a symbol refers to an argument, a constant or a
+ * local variable that is assigned a value somewhere in the procedure.
+ */
+TypeChecker.prototype.isVariable = function(symbol) {
+    return this.isArgumentOrConstant(symbol) || this.locals.includes(symbol);
+};
+
+
+/*
+ * This method returns the declared type of an attribute of the target component (e.g.
+ * 'target[$name]'), if it is known.
+ */
+TypeChecker.prototype.attributeType = function(node) {
+    const composite = node.getItem(1);
+    const indices = node.getItem(2);
+    if (!composite.isType('/bali/trees/Variable') || composite.toString() !== 'target') return;
+    if (indices.getSize() !== 1 || !indices.getItem(1).isType('/bali/strings/Symbol')) return;
+    return this.attributes[indices.getItem(1).toString()];
+};
+
+
+/*
+ * This method returns the known type of the recipient of an assignment.
+ */
+TypeChecker.prototype.recipientType = function(recipient) {
+    if (recipient.isType('/bali/strings/Symbol')) return this.variableType(recipient.toString());
+    recipient.toArray().forEach(this.inferType, this);
+    return this.attributeType(recipient);
+};
+
+
+/*
+ * This method throws an exception describing a type mismatch if type checking is turned on.
+ */
+TypeChecker.prototype.reportMismatch = function(context, expected, actual) {
+    const attributes = Object.assign({}, context, {
+        $expected: bali.list(expected.map(typeName)),
+        $actual: typeName(actual)
+    });
+    this.reportError('$typeMismatch', attributes, 'The type of an expression does not match the type that is expected.');
+};
+
+
+/*
+ * This method throws an exception describing a problem with the current statement if type
+ * checking is turned on.
+ */
+TypeChecker.prototype.reportError = function(name, attributes, text) {
+    if (!this.checking) return;
+    const exception = bali.catalog({
+        $module: moduleName,
+        $procedure: '$checkClause',
+        $exception: name
+    });
+    exception.addItems(bali.catalog(attributes));
+    exception.setAttribute('$statement', bali.text(this.label));
+    exception.setAttribute('$text', bali.text(text));
+    const error = bali.exception(exception);
+    if (this.debug) console.error(error.toString());
+    throw error;
+};
+
+
+/*
+ * This function returns a map of each symbol in a catalog of definitions (parameters or
+ * attributes) to the short name of its declared type, or undefined if the type is not known.
+ */
+function declaredTypes(definitions) {
+    const result = {};
+    if (definitions) {
+        const iterator = definitions.getIterator();
+        while (iterator.hasNext()) {
+            const association = iterator.getNext();
+            const definition = association.getValue();
+            const type = definition.getAttribute && definition.getAttribute('$type');
+            result[association.getKey().toString()] = type ? shortName(type.toString()) : undefined;
+        }
+    }
+    return result;
+}
+
+
+/*
+ * This function determines whether or not an assignment to a variable is a compound
+ * assignment (e.g. '$count += 1').
+ */
+function isCompound(assignment) {
+    return assignment !== 'any' && assignment.isType('/bali/trees/EvaluateClause');
+}
+
+
+/*
+ * This function returns the short name of a core type (e.g. '/nebula/elements/Number/v1')
+ * or undefined if it is not a core type that is tracked.
+ */
+function shortName(name) {
+    const matches = name.match(/^\/nebula\/(elements|strings|collections)\/([A-Z][A-Za-z]*)\/v1$/);
+    if (matches && CATEGORIES[matches[2]] === matches[1]) return matches[2];
+}
+
+
+/*
+ * This function returns the full name of the core type with the specified short name.
+ */
+function typeName(name) {
+    return bali.component('/nebula/' + CATEGORIES[name] + '/' + name + '/v1');
+}
+
+
+/*
+ * This function returns the short name of the type of a literal component, if it is known.
+ */
+function literalType(component) {
+    const type = component.getParameter('$type');
+    if (type) return shortName(type.toString());
+    return shortName(component.getType().replace('bali', 'nebula') + '/v1');
+}
+
+
+/*
+ * This function returns the expressions embedded within a literal collection.
+ */
+function expressionsIn(component) {
+    const expressions = [];
+    if (isTemplate(component)) {
+        try {
+            parseTemplate(component).forEach(function(piece) {
+                if (typeof piece !== 'string') expressions.push(piece);
+            });
+        } catch (cause) {
+            // the compiler reports any invalid templates
+        }
+    } else if (component.isType('/bali/collections/Range')) {
+        if (component.getFirst()) expressions.push(component.getFirst());
+        if (component.getLast()) expressions.push(component.getLast());
+    } else if (component.isType('/bali/abstractions/Collection')) {
+        component.toArray().forEach(function(item) {
+            if (item.isType('/bali/collections/Association')) {
+                expressions.push(item.getKey(), item.getValue());
+            } else {
+                expressions.push(item);
+            }
+        });
+    }
+    return expressions;
+}
+
+
+/*
+ * This table maps each core type that is tracked to its category.
+ */
+const CATEGORIES = {
+    Angle: 'elements',
+    Boolean: 'elements',
+    Duration: 'elements',
+    Moment: 'elements',
+    Number: 'elements',
+    Percentage: 'elements',
+    Probability: 'elements',
+    Resource: 'elements',
+    Tag: 'elements',
+    Binary: 'strings',
+    Name: 'strings',
+    Symbol: 'strings',
+    Text: 'strings',
+    Version: 'strings',
+    Association: 'collections',
+    Catalog: 'collections',
+    List: 'collections',
+    Queue: 'collections',
+    Range: 'collections',
+    Set: 'collections',
+    Stack: 'collections'
+};
+
+
+/*
+ * These tables map each type of expression, or each of its operators, and each compound
+ * assignment operator to the intrinsic function that implements it.
+ */
+const OPERATORS = {
+    '/bali/trees/ArithmeticExpression': {'*': '$product', '/': '$quotient', '//': '$remainder', '+': '$sum', '-': '$difference'},
+    '/bali/trees/ChainExpression': '$chain',
+    '/bali/trees/ComplementExpression': '$not',
+    '/bali/trees/ExponentialExpression': '$exponential',
+    '/bali/trees/FactorialExpression': '$factorial',
+    '/bali/trees/InversionExpression': {'-': '$inverse', '/': '$reciprocal', '*': '$conjugate'},
+    '/bali/trees/LogicalExpression': {'AND': '$and', 'SANS': '$sans', 'XOR': '$xor', 'OR': '$or'},
+    '/bali/trees/MagnitudeExpression': '$magnitude'
+};
+const COMPOUND_OPERATORS = {'+=': '$sum', '-=': '$difference', '*=': '$scaled'};
@@ -22,6 +22,16 @@
  * An operand is an unsigned 11 bit number [0..2047] representing a unit
  * based index or address. The value zero is reserved for specifying an
  * invalid index or address.
+ *
+ * Larger operands (up to 22 bits) are encoded by preceding the instruction with
+ * an extension prefix. The prefix is a 'PULL HANDLER' instruction with a non-zero
+ * operand containing the upper 11 bits of the operand for the instruction that
+ * follows it:
+ * <pre>
+ * | 010 | 00 | upper operand (11 bits) | opcode | modcode | lower operand (11 bits) |
+ * </pre>
+ * The address of an instruction with an extended operand is the address of its
+ * prefix.
  */
 const bali = require('bali-component-framework').api();
 const types = require('./Types');
@@ -46,10 +56,12 @@ const OPERAND_MASK = 0x07FF;
  *   3: log interesting arguments, states and results to console.log
  * </pre>
  *
+ * @param {Intrinsics} intrinsics The registry of the intrinsic functions supported by the virtual machine.
  * @returns {Decoder} The new decoder.
  */
-const Decoder = function(debug) {
+const Decoder = function(intrinsics, debug) {
     this.debug = debug || 0;  // default is off
+    this.intrinsics = intrinsics;
     return this;
 };
 Decoder.prototype.constructor = Decoder;
@@ -58,10 +70,18 @@ exports.Decoder = Decoder;
 
 // PUBLIC METHODS
 
-Decoder.prototype.instructionToString = function(instruction) {
+/**
+ * This function returns a string version of the specified instruction.
+ *
+ * @param {Number} instruction The instruction.
+ * @param {Number} extension The optional upper bits of the operand from an extension prefix.
+ * @return {String} A string version of the instruction.
+ */
+Decoder.prototype.instructionToString = function(instruction, extension) {
     const operation = this.decodeOperation(instruction);
-    const modifier = this.decodeModifier(instruction);
-    const operand = this.decodeOperand(instruction);
+    const modifier = this.decodeModifier(instruction, extension);
+    const operand = this.decodeOperand(instruction, extension);
+    if (!extension && this.isExtension(instruction)) return 'EXTEND OPERAND';
     if (!operation && !modifier && !operand) return 'JUMP TO NEXT INSTRUCTION';
     const operandString = operandToString(operation, modifier, operand);
     var string = types.operationString(operation) + ' ';
@@ -111,11 +131,66 @@ Decoder.prototype.encodeInstruction = function(operation, modifier, optionalOper
     const opcode = (operation << 13) & OPCODE_MASK;
     const modcode = (modifier << 11) & MODCODE_MASK;
     const operand = optionalOperand === undefined ? 0 : optionalOperand;
+    if (operand < 0 || operand > types.MAXIMUM_OPERAND) {
+        const exception = bali.exception({
+            $module: '/bali/compiler/Decoder',
+            $procedure: '$encodeInstruction',
+            $exception: '$operandOverflow',
+            $maximum: types.MAXIMUM_OPERAND,
+            $actual: operand,
+            $text: '"The operand is too large to be encoded in a single instruction."'
+        });
+        if (this.debug) console.error(exception.toString());
+        throw exception;
+    }
     const instruction = opcode | modcode | operand;
     return instruction;
 };
 
 
+/**
+ * This function takes an operation, a modifier and an operand and encodes them into
+ * an array containing the corresponding instruction. If the operand does not fit
+ * into a single instruction the array also contains a preceding extension prefix.
+ * The TO_SUPER and TO_SUPER_WITH_ARGUMENTS modifiers never appear in an encoded
+ * modcode, a message sent to super is encoded as a message sent to a component with
+ * the SUPER flag set in its extended operand instead. This leaves only 21 bits for
+ * the operand of a SEND instruction.
+ *
+ * @param {Number} operation The operation for the bytecode.
+ * @param {Number} modifier The modifier for the bytecode.
+ * @param {Number} operand The operand associated with the operation.
+ * @return {Array} An array containing the bytecode for the instruction.
+ */
+Decoder.prototype.encodeExtendedInstruction = function(operation, modifier, operand) {
+    const maximum = operation === types.SEND ? types.MAXIMUM_MESSAGE_OPERAND : types.MAXIMUM_EXTENDED_OPERAND;
+    if (operand > maximum) {
+        const exception = bali.exception({
+            $module: '/bali/compiler/Decoder',
+            $procedure: '$encodeExtendedInstruction',
+            $exception: '$operandOverflow',
+            $maximum: maximum,
+            $actual: operand,
+            $text: '"The operand is too large to be encoded in an extended instruction."'
+        });
+        if (this.debug) console.error(exception.toString());
+        throw exception;
+    }
+    if (operation === types.SEND && modifier >= types.TO_SUPER) {
+        // there is no modcode left for super so it is flagged in the extended operand instead
+        modifier -= types.TO_SUPER;
+        operand += types.SUPER;
+    }
+    if (operand <= types.MAXIMUM_OPERAND) {
+        return [this.encodeInstruction(operation, modifier, operand)];
+    }
+    return [
+        this.encodeInstruction(types.PULL, types.HANDLER, operand >>> 11),
+        this.encodeInstruction(operation, modifier, operand & OPERAND_MASK)
+    ];
+};
+
+
 /**
  * This function decodes the operation for an instruction.
  *
@@ -129,60 +204,138 @@ Decoder.prototype.decodeOperation = function(instruction) {
 
 
 /**
- * This function decodes the modifier for an instruction.
+ * This function decodes the modifier for an instruction. Since a message sent to super
+ * is marked by a flag in its operand, the upper bits of the operand from an extension
+ * prefix must be specified to decode the modifier of a SEND instruction that follows one.
  *
  * @param {Number} instruction The instruction to be decoded.
+ * @param {Number} extension The optional upper bits of the operand from an extension prefix.
  * @return {Number} The decoded modifier.
  */
-Decoder.prototype.decodeModifier = function(instruction) {
-    const modifier = (instruction & MODCODE_MASK) >>> 11;
+Decoder.prototype.decodeModifier = function(instruction, extension) {
+    var modifier = (instruction & MODCODE_MASK) >>> 11;
+    if (isSuper(instruction, extension)) modifier += types.TO_SUPER;
     return modifier;
 };
 
 
 /**
- * This function decodes the operand for an instruction.
+ * This function decodes the operand for an instruction. The flag marking a message
+ * sent to super is not part of the decoded operand.
  *
  * @param {Number} instruction The instruction to be decoded.
+ * @param {Number} extension The optional upper bits of the operand from an extension prefix.
  * @return {Number} The decoded operand.
  */
-Decoder.prototype.decodeOperand = function(instruction) {
-    const operand = instruction & OPERAND_MASK;
+Decoder.prototype.decodeOperand = function(instruction, extension) {
+    var operand = ((extension || 0) << 11) | (instruction & OPERAND_MASK);
+    if (isSuper(instruction, extension)) operand -= types.SUPER;
     return operand;
 };
 
 
 /**
- * This function determines whether or not an instruction
- * is valid.
+ * This function determines whether or not an instruction is an extension prefix
+ * for the instruction that follows it.
  *
  * @param {Number} instruction The instruction to be decoded.
- * @return {Boolean} Whether or not the instruction is valid.
+ * @return {Boolean} Whether or not the instruction is an extension prefix.
  */
-Decoder.prototype.instructionIsValid = function(instruction) {
+Decoder.prototype.isExtension = function(instruction) {
     const operation = this.decodeOperation(instruction);
     const modifier = this.decodeModifier(instruction);
     const operand = this.decodeOperand(instruction);
+    return operation === types.PULL && modifier === types.HANDLER && operand > 0;
+};
+
+
+/**
+ * This function determines whether or not an instruction
+ * is valid. If the instruction follows an extension prefix the upper bits of
+ * its operand from the prefix must be specified since the instruction is
+ * validated using its whole operand.
+ *
+ * @param {Number} instruction The instruction to be decoded.
+ * @param {Number} extension The optional upper bits of the operand from an extension prefix.
+ * @return {Boolean} Whether or not the instruction is valid.
+ */
+Decoder.prototype.instructionIsValid = function(instruction, extension) {
+    const operation = this.decodeOperation(instruction);
+    const modifier = this.decodeModifier(instruction, extension);
+    const operand = this.decodeOperand(instruction, extension);
     switch (operation) {
         case types.JUMP:
             // the JUMP TO NEXT INSTRUCTION is the only one allowed to have a zero operand
             // and only if the modifier is also zero
             return operand > 0 || modifier === 0;
         case types.PULL:
-            return operand === 0;
+            // a PULL has no operand that can be extended
+            if (extension) return false;
+            // an extension prefix is a PULL HANDLER with a non-zero operand
+            return operand === 0 || modifier === types.HANDLER;
         case types.PUSH:
         case types.LOAD:
         case types.SAVE:
         case types.DROP:
-        case types.CALL:
-        case types.SEND:
             return operand > 0;
+        case types.SEND:
+            // only a message sent to a component can be sent to super instead
+            return operand > 0 && modifier <= types.TO_SUPER_WITH_ARGUMENTS;
+        case types.CALL:
+            // the operand must be the index of a built-in or registered extension function
+            return this.intrinsics.getName(operand) !== undefined;
         default:
             return false;
     }
 };
 
 
+/**
+ * This function decodes each instruction in a bytecode array into its address, operation,
+ * modifier and operand. An extension prefix is combined with the instruction that follows
+ * it and the address of the resulting instruction is the address of the prefix. The upper
+ * bits of the operand from the prefix are also returned as the extension of the instruction.
+ *
+ * @param {Array} bytecode The bytecode array to be decoded.
+ * @returns {Array} An array containing the decoded instructions.
+ */
+Decoder.prototype.decodeBytecode = function(bytecode) {
+    const instructions = [];
+    var index = 0;
+    while (index < bytecode.length) {
+        const address = index + 1;  // cardinal based addressing
+        var instruction = bytecode[index++];
+        var extension;
+        if (this.isExtension(instruction)) {
+            extension = this.decodeOperand(instruction);
+            instruction = bytecode[index++];
+            if (instruction === undefined || this.isExtension(instruction)) {
+                const exception = bali.exception({
+                    $module: '/bali/compiler/Decoder',
+                    $procedure: '$decodeBytecode',
+                    $exception: '$invalidExtension',
+                    $address: address,
+                    $text: '"An extension prefix must be followed by an instruction."'
+                });
+                if (this.debug) console.error(exception.toString());
+                throw exception;
+            }
+        } else {
+            extension = undefined;
+        }
+        instructions.push({
+            address: address,
+            instruction: instruction,
+            extension: extension,
+            operation: this.decodeOperation(instruction),
+            modifier: this.decodeModifier(instruction, extension),
+            operand: this.decodeOperand(instruction, extension)
+        });
+    }
+    return instructions;
+};
+
+
 /**
  * This function converts a base 16 encoded byte string into a bytecode array.
  *
@@ -225,6 +378,7 @@ Decoder.prototype.bytecodeToBytes = function(bytecode) {
 Decoder.prototype.bytecodeToString = function(bytecode) {
     var string = ' Addr     Bytes   Bytecode                 Instruction\n';
     string += '-------------------------------------------------------------------\n';
+    var extension;
     bytecode.forEach(function(instruction, index) {
         // format the address
         var address = index + 1;  // Bali ordinal based indexing
@@ -235,12 +389,15 @@ Decoder.prototype.bytecodeToString = function(bytecode) {
         while (bytes.length < 4) bytes = '0' + bytes;
 
         // format the description
-        const description = this.instructionToString(instruction);
+        const description = this.instructionToString(instruction, extension);
 
         // format the bytecode (must happen last)
         const operation = this.decodeOperation(instruction);
-        const modifier = this.decodeModifier(instruction);
-        const operand = this.decodeOperand(instruction);
+        const modifier = this.decodeModifier(instruction, extension);
+        const operand = this.decodeOperand(instruction, extension);
+
+        // an extension prefix applies only to the next instruction
+        extension = (!extension && this.isExtension(instruction)) ? operand : undefined;
         var operandString = operandToString(operation, modifier, operand);
         while (operandString.length < 4) operandString = ' ' + operandString;  // pad an index operand with leading spaces
         if (operandString.length < 5) operandString += ' ';  // pad an index operand with a single trailing space
@@ -256,6 +413,16 @@ Decoder.prototype.bytecodeToString = function(bytecode) {
 
 // PRIVATE FUNCTIONS
 
+/*
+ * This function determines whether or not an instruction sends a message to super. The
+ * flag marking such a message is in the upper bits of the operand from an extension prefix.
+ */
+const isSuper = function(instruction, extension) {
+    const operation = (instruction & OPCODE_MASK) >>> 13;
+    return operation === types.SEND && (((extension || 0) << 11) & types.SUPER) !== 0;
+};
+
+
 const operandIsAddress = function(operation, modifier, operand) {
     switch (operation) {
         case types.JUMP:
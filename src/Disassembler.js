@@ -0,0 +1,211 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+'use strict';
+
+/**
+ * This module defines a class that disassembles the bytecode for a method back into
+ * the symbolic assembly instructions that could have been used to generate it.
+ */
+const bali = require('bali-component-framework').api();
+const Decoder = require('./Decoder').Decoder;
+const types = require('./Types');
+
+
+/**
+ * This constructor returns a disassembler that converts the bytecode for an assembled
+ * method back into the corresponding Bali Nebula™ assembly instructions.
+ *
+ * An optional debug argument may be specified that controls the level of debugging that
+ * should be applied during execution. The allowed levels are as follows:
+ * <pre>
+ *   0: no debugging is applied (this is the default value and has the best performance)
+ *   1: log any exceptions to console.error before throwing them
+ *   2: perform argument validation checks on each call (poor performance)
+ *   3: log interesting arguments, states and results to console.log
+ * </pre>
+ *
+ * @param {Intrinsics} intrinsics The registry of the intrinsic functions supported by the virtual machine.
+ * @returns {Disassembler} The new bytecode disassembler.
+ */
+function Disassembler(intrinsics, debug) {
+    this.debug = debug || 0;  // default is off
+    this.intrinsics = intrinsics;
+    this.decoder = new Decoder(intrinsics, this.debug);
+    return this;
+}
+Disassembler.prototype.constructor = Disassembler;
+exports.Disassembler = Disassembler;
+
+
+// PUBLIC METHODS
+
+/**
+ * This method disassembles the bytecode for an assembled method into a list of the
+ * corresponding Bali Virtual Machine™ instructions. The symbolic operands are looked
+ * up in the literals and constants for the type and the arguments, variables and
+ * messages for the method. Since the original labels are not part of the bytecode, a
+ * label of the form '<address>.Target' is synthesized for each address that is the
+ * target of a jump or exception handler. A target just past the last instruction
+ * represents the end of the method and has no instruction to label.
+ *
+ * @param {Catalog} type The type context for the method being disassembled.
+ * @param {Catalog} method The method containing the bytecode to be disassembled.
+ * @returns {List} The list of instructions corresponding to the bytecode.
+ */
+Disassembler.prototype.disassembleMethod = function(type, method) {
+    const bytes = method.getAttribute('$bytecode').getValue();
+    const bytecode = this.decoder.bytesToBytecode(bytes);
+    const context = {
+        literals: type.getAttribute('$literals'),
+        constants: type.getAttribute('$constants'),
+        argumentz: method.getAttribute('$arguments'),
+        variables: method.getAttribute('$variables'),
+        messages: method.getAttribute('$messages')
+    };
+
+    // decode each instruction, combining any extension prefix with its instruction
+    const decoded = this.decoder.decodeBytecode(bytecode);
+    decoded.forEach(function(instruction) {
+        if (!this.decoder.instructionIsValid(instruction.instruction, instruction.extension)) {
+            throwException(this, '$invalidInstruction', instruction, 'The bytecode contains an invalid instruction.');
+        }
+    }, this);
+
+    // find the addresses that must be labeled
+    const end = bytecode.length + 1;
+    const starts = decoded.map(function(instruction) { return instruction.address; });
+    const targets = [];
+    decoded.forEach(function(instruction) {
+        if (isAddressInstruction(instruction)) {
+            const target = instruction.operand;
+            if (target !== end && starts.indexOf(target) < 0) {
+                throwException(this, '$invalidAddress', instruction, 'The target address is not the start of an instruction.');
+            }
+            if (targets.indexOf(target) < 0) targets.push(target);
+        }
+    }, this);
+
+    // generate the symbolic instructions
+    const instructions = bali.list();
+    decoded.forEach(function(instruction) {
+        const result = bali.catalog();
+        if (targets.indexOf(instruction.address) > -1) {
+            result.setAttribute('$label', bali.text(labelFor(instruction.address)));
+        }
+        result.setAttribute('$operation', instruction.operation);
+        if (instruction.operation === types.JUMP && instruction.operand === 0) {
+            // JUMP TO NEXT INSTRUCTION has no modifier or operand
+        } else {
+            result.setAttribute('$modifier', instruction.modifier);
+            const operand = symbolicOperand(this, context, instruction);
+            if (operand) result.setAttribute('$operand', operand);
+        }
+        instructions.addItem(result);
+    }, this);
+    return instructions;
+};
+
+
+// PRIVATE FUNCTIONS
+
+/*
+ * This function determines whether or not the operand of an instruction is an address.
+ */
+const isAddressInstruction = function(instruction) {
+    switch (instruction.operation) {
+        case types.JUMP:
+            return instruction.operand > 0;
+        case types.PUSH:
+            return instruction.modifier === types.HANDLER;
+        default:
+            return false;
+    }
+};
+
+
+/*
+ * This function returns the synthesized label for an address.
+ */
+const labelFor = function(address) {
+    return address + '.Target';
+};
+
+
+/*
+ * This function looks up the symbolic value of the operand for an instruction.
+ */
+const symbolicOperand = function(disassembler, context, instruction) {
+    const index = instruction.operand;
+    var operand;
+    switch (instruction.operation) {
+        case types.JUMP:
+            return bali.text(labelFor(index));
+        case types.PUSH:
+            switch (instruction.modifier) {
+                case types.HANDLER:
+                    return bali.text(labelFor(index));
+                case types.LITERAL:
+                    operand = lookup(context.literals, index);
+                    break;
+                case types.CONSTANT:
+                    operand = lookup(context.constants && context.constants.getKeys(), index);
+                    break;
+                case types.ARGUMENT:
+                    operand = lookup(context.argumentz && context.argumentz.getKeys(), index);
+                    break;
+            }
+            break;
+        case types.PULL:
+            return;  // no operand
+        case types.LOAD:
+        case types.SAVE:
+        case types.DROP:
+            operand = lookup(context.variables, index);
+            break;
+        case types.CALL:
+            operand = disassembler.intrinsics.getName(index);
+            if (operand) operand = bali.component(operand);
+            break;
+        case types.SEND:
+            operand = lookup(context.messages, index);
+            break;
+    }
+    if (!operand) {
+        throwException(disassembler, '$invalidOperand', instruction, 'The operand does not refer to a known value.');
+    }
+    return operand;
+};
+
+
+/*
+ * This function returns the item at the specified index in a collection, or undefined if
+ * the index is out of range.
+ */
+const lookup = function(collection, index) {
+    if (collection && index > 0 && index <= collection.getSize()) {
+        return collection.getItem(index);
+    }
+};
+
+
+/*
+ * This function throws an exception describing the problem with the specified instruction.
+ */
+const throwException = function(disassembler, name, instruction, text) {
+    const exception = bali.exception({
+        $module: '/bali/compiler/Disassembler',
+        $procedure: '$disassembleMethod',
+        $exception: name,
+        $address: instruction.address,
+        $text: '"' + text + '"'
+    });
+    if (disassembler.debug) console.error(exception.toString());
+    throw exception;
+};
@@ -318,7 +318,9 @@ FormattingVisitor.prototype.visitCall = function(instruction) {
 //     'SEND' SYMBOL 'TO' 'COMPONENT' |
 //     'SEND' SYMBOL 'TO' 'COMPONENT' 'WITH' 'ARGUMENTS' |
 //     'SEND' SYMBOL 'TO' 'DOCUMENT' |
-//     'SEND' SYMBOL 'TO' 'DOCUMENT' 'WITH' 'ARGUMENTS'
+//     'SEND' SYMBOL 'TO' 'DOCUMENT' 'WITH' 'ARGUMENTS' |
+//     'SEND' SYMBOL 'TO' 'SUPER' |
+//     'SEND' SYMBOL 'TO' 'SUPER' 'WITH' 'ARGUMENTS'
 FormattingVisitor.prototype.visitSend = function(instruction) {
     this.source += 'SEND ';
     this.source += instruction.getAttribute('$operand');
@@ -0,0 +1,696 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+'use strict';
+
+/**
+ * This module defines a class that provides a reference interpreter for the bytecode
+ * generated by the assembler. It executes a compiled method locally without requiring
+ * the full Bali Nebula™ virtual machine, so that compiled procedures can be tested end
+ * to end. Any interactions with documents, contracts and message bags are delegated to
+ * stub functions that are supplied by the caller in an environment object.
+ */
+const moduleName = '/bali/compiler/Interpreter';
+const bali = require('bali-component-framework').api();
+const Decoder = require('./Decoder').Decoder;
+const types = require('./Types');
+
+
+/**
+ * This constructor returns an interpreter that executes the bytecode for compiled methods.
+ *
+ * An optional debug argument may be specified that controls the level of debugging that
+ * should be applied during execution. The allowed levels are as follows:
+ * <pre>
+ *   0: no debugging is applied (this is the default value and has the best performance)
+ *   1: log any exceptions to console.error before throwing them
+ *   2: perform argument validation checks on each call (poor performance)
+ *   3: log interesting arguments, states and results to console.log
+ * </pre>
+ *
+ * @param {Intrinsics} intrinsics The registry of the intrinsic functions supported by the virtual machine.
+ * @returns {Interpreter} The new bytecode interpreter.
+ */
+function Interpreter(intrinsics, debug) {
+    this.debug = debug || 0;  // default is off
+    this.intrinsics = intrinsics;
+    this.decoder = new Decoder(intrinsics, this.debug);
+    return this;
+}
+Interpreter.prototype.constructor = Interpreter;
+exports.Interpreter = Interpreter;
+
+
+// PUBLIC METHODS
+
+/**
+ * This method executes the bytecode for a compiled method using the specified target
+ * component and arguments. The environment object may contain any of the following
+ * (possibly asynchronous) stub functions:
+ * <pre>
+ *   retrieveDocument(citation)        - returns the cited document
+ *   saveDocument(document)            - returns a citation to the saved document
+ *   discardDocument(citation)         - discards the cited document
+ *   retrieveContract(name)            - returns the named contract
+ *   notarizeDocument(name, document)  - notarizes the document as the named contract
+ *   discardContract(name)             - discards the named contract
+ *   retrieveMessage(bag)              - returns a message from the named bag
+ *   postMessage(bag, message)         - posts the message to the named bag
+ *   acceptMessage(bag, message)       - removes the processed message from the named bag
+ *   sendMessage(target, message, args) - sends a message to a component or document
+ * </pre>
+ * It may also contain an 'intrinsics' object mapping intrinsic function names (e.g.
+ * '$random') to JavaScript functions that override or extend the built-in implementations.
+ *
+ * @param {Object} environment An object containing the stub functions for the environment.
+ * @param {Catalog} type The type definition containing the method being executed.
+ * @param {Catalog} method The compiled and assembled method to be executed.
+ * @param {Component} target The component on which the method is being executed.
+ * @param {List} argumentz An optional list of the arguments passed to the method.
+ * @returns {Component} The result of executing the method.
+ */
+Interpreter.prototype.executeMethod = async function(environment, type, method, target, argumentz) {
+    if (this.debug > 1) {
+        bali.component.validateArgument(moduleName, '$executeMethod', '$environment', environment, [
+            '/javascript/Object'
+        ]);
+        bali.component.validateArgument(moduleName, '$executeMethod', '$type', type, [
+            '/bali/collections/Catalog'
+        ]);
+        bali.component.validateArgument(moduleName, '$executeMethod', '$method', method, [
+            '/bali/collections/Catalog'
+        ]);
+        bali.component.validateArgument(moduleName, '$executeMethod', '$argumentz', argumentz, [
+            '/javascript/Undefined',
+            '/bali/collections/List'
+        ]);
+    }
+    checkExtensions(this, type);
+    const context = new ProcedureContext(this.intrinsics, environment, type, method, target, argumentz, this.debug);
+    while (!context.isDone()) {
+        const instruction = context.fetchInstruction();
+        if (this.debug > 2) {
+            console.log('    [' + (context.address - 1) + ']: ' + this.decoder.instructionToString(instruction, context.extension));
+        }
+        await context.executeInstruction(instruction);
+    }
+    return context.result;
+};
+
+
+// PRIVATE CLASSES
+
+/*
+ * This private class captures the state of a method that is being executed by the
+ * interpreter. It maintains the component stack, the handler stack, the argument
+ * and variable values and the address of the next instruction to be executed.
+ */
+function ProcedureContext(intrinsics, environment, type, method, target, argumentz, debug) {
+    this.debug = debug || 0;
+    this.intrinsics = intrinsics;
+    this.decoder = new Decoder(intrinsics, this.debug);
+    this.environment = environment || {};
+    this.overrides = this.environment.intrinsics || {};  // the environment specific implementations
+    this.literals = type.getAttribute('$literals') || bali.set();
+    this.constants = type.getAttribute('$constants') || bali.catalog();
+    this.messages = method.getAttribute('$messages') || bali.set();
+    this.parent = type.getAttribute('$parent');  // the ancestry that implements the messages sent to super
+    this.bytecode = this.decoder.bytesToBytecode(method.getAttribute('$bytecode').getValue());
+
+    // initialize the argument values ($target is always the first argument)
+    this.argumentz = [];
+    const parameters = method.getAttribute('$arguments') || bali.catalog({$target: 'none'});
+    const values = argumentz ? argumentz.toArray() : [];
+    const iterator = parameters.getIterator();
+    iterator.getNext();  // skip the $target definition
+    this.argumentz.push(target || bali.pattern.NONE);
+    while (iterator.hasNext()) {
+        const association = iterator.getNext();
+        const value = values.shift();
+        this.argumentz.push(value === undefined ? association.getValue() : value);
+    }
+
+    // initialize the variable values
+    this.variables = [];
+    const size = method.getAttribute('$variables') ? method.getAttribute('$variables').getSize() : 0;
+    for (var i = 0; i < size; i++) {
+        this.variables.push(bali.pattern.NONE);
+    }
+
+    this.components = [];  // the component stack
+    this.handlers = [];  // the handler stack
+    this.address = 1;  // cardinal based addressing
+    this.result = undefined;
+    return this;
+}
+ProcedureContext.prototype.constructor = ProcedureContext;
+
+
+ProcedureContext.prototype.isDone = function() {
+    return this.result !== undefined || this.address > this.bytecode.length;
+};
+
+
+ProcedureContext.prototype.fetchInstruction = function() {
+    var instruction = this.bytecode[this.address++ - 1];
+    this.extension = undefined;
+    if (this.decoder.isExtension(instruction)) {
+        // the prefix holds the upper bits of the operand for the next instruction
+        this.extension = this.decoder.decodeOperand(instruction);
+        instruction = this.bytecode[this.address++ - 1];
+    }
+    return instruction;
+};
+
+
+ProcedureContext.prototype.executeInstruction = async function(instruction) {
+    const operation = this.decoder.decodeOperation(instruction);
+    const modifier = this.decoder.decodeModifier(instruction, this.extension);
+    const operand = this.decoder.decodeOperand(instruction, this.extension);
+    try {
+        switch (operation) {
+            case types.JUMP:
+                this.executeJump(modifier, operand);
+                break;
+            case types.PUSH:
+                this.executePush(modifier, operand);
+                break;
+            case types.PULL:
+                this.executePull(modifier);
+                break;
+            case types.LOAD:
+                await this.executeLoad(modifier, operand);
+                break;
+            case types.SAVE:
+                await this.executeSave(modifier, operand);
+                break;
+            case types.DROP:
+                await this.executeDrop(modifier, operand);
+                break;
+            case types.CALL:
+                this.executeCall(modifier, operand);
+                break;
+            case types.SEND:
+                await this.executeSend(modifier, operand);
+                break;
+        }
+    } catch (cause) {
+        if (isFault(cause)) throw cause;  // the virtual machine itself cannot continue
+        // an exception was thrown by an intrinsic function, stub or method so let the procedure handle it
+        var exception;
+        if (isUnhandled(cause)) {
+            exception = cause.getAttribute('$value');  // a method that was called did not handle it
+        } else if (cause.getAttributes) {
+            exception = cause.getAttributes();
+        } else {
+            exception = bali.catalog({
+                $exception: '$runtimeError',
+                $text: bali.text(cause.toString())
+            });
+        }
+        this.handleException(exception);
+    }
+};
+
+
+ProcedureContext.prototype.executeJump = function(modifier, address) {
+    if (address === 0) return;  // JUMP TO NEXT INSTRUCTION
+    var condition;
+    switch (modifier) {
+        case types.ON_ANY:
+            this.address = address;
+            break;
+        case types.ON_EMPTY:
+            condition = this.components.pop();
+            if (condition.isEmpty()) this.address = address;
+            break;
+        case types.ON_NONE:
+            condition = this.components.pop();
+            if (bali.areEqual(condition, bali.pattern.NONE)) this.address = address;
+            break;
+        case types.ON_FALSE:
+            condition = this.components.pop();
+            if (bali.areEqual(condition, bali.boolean.FALSE)) this.address = address;
+            break;
+    }
+};
+
+
+ProcedureContext.prototype.executePush = function(modifier, index) {
+    switch (modifier) {
+        case types.HANDLER:
+            // remember the address of the handler and the depth of the component stack
+            this.handlers.push({address: index, depth: this.components.length});
+            break;
+        case types.LITERAL:
+            this.components.push(this.literals.getItem(index));
+            break;
+        case types.CONSTANT:
+            this.components.push(this.constants.getItem(index).getValue());
+            break;
+        case types.ARGUMENT:
+            this.components.push(this.argumentz[index - 1]);
+            break;
+    }
+};
+
+
+ProcedureContext.prototype.executePull = function(modifier) {
+    switch (modifier) {
+        case types.HANDLER:
+            this.handlers.pop();
+            break;
+        case types.COMPONENT:
+            this.components.pop();
+            break;
+        case types.RESULT:
+            this.result = this.components.pop();
+            break;
+        case types.EXCEPTION:
+            this.handleException(this.components.pop());
+            break;
+    }
+};
+
+
+ProcedureContext.prototype.executeLoad = async function(modifier, index) {
+    const value = this.variables[index - 1];
+    switch (modifier) {
+        case types.VARIABLE:
+            this.components.push(value);
+            break;
+        case types.DOCUMENT:
+            this.components.push(await this.invokeStub('retrieveDocument', value));
+            break;
+        case types.CONTRACT:
+            this.components.push(await this.invokeStub('retrieveContract', value));
+            break;
+        case types.MESSAGE:
+            this.components.push(await this.invokeStub('retrieveMessage', value));
+            break;
+    }
+};
+
+
+ProcedureContext.prototype.executeSave = async function(modifier, index) {
+    const component = this.components.pop();
+    switch (modifier) {
+        case types.VARIABLE:
+            this.variables[index - 1] = component;
+            break;
+        case types.DOCUMENT:
+            this.variables[index - 1] = await this.invokeStub('saveDocument', component);
+            break;
+        case types.CONTRACT:
+            await this.invokeStub('notarizeDocument', this.variables[index - 1], component);
+            break;
+        case types.MESSAGE:
+            await this.invokeStub('postMessage', this.variables[index - 1], component);
+            break;
+    }
+};
+
+
+ProcedureContext.prototype.executeDrop = async function(modifier, index) {
+    const value = this.variables[index - 1];
+    switch (modifier) {
+        case types.VARIABLE:
+            this.variables[index - 1] = bali.pattern.NONE;
+            break;
+        case types.DOCUMENT:
+            await this.invokeStub('discardDocument', value);
+            break;
+        case types.CONTRACT:
+            await this.invokeStub('discardContract', value);
+            break;
+        case types.MESSAGE:
+            await this.invokeStub('acceptMessage', value, this.components.pop());
+            break;
+    }
+};
+
+
+ProcedureContext.prototype.executeCall = function(numberOfArguments, index) {
+    const name = this.intrinsics.getName(index);
+    var args = this.components.splice(this.components.length - numberOfArguments, numberOfArguments);
+    const signature = this.intrinsics.getSignature(name);
+    if (signature && signature.maximum > types.MAXIMUM_ARGUMENTS && numberOfArguments === types.MAXIMUM_ARGUMENTS) {
+        // the remaining arguments were packed into a list that was passed as the last argument
+        args = args.slice(0, -1).concat(args[args.length - 1].toArray());
+    }
+    var intrinsic = this.overrides[name] || INTRINSICS[name] || (signature && signature.implementation);
+    if (!intrinsic) intrinsic = libraryFunction(name, args);
+    if (!intrinsic) {
+        const exception = bali.exception({
+            $module: moduleName,
+            $procedure: '$executeCall',
+            $exception: '$unsupportedIntrinsic',
+            $intrinsic: name,
+            $text: '"The interpreter does not support the intrinsic function."'
+        });
+        if (this.debug) console.error(exception.toString());
+        throw exception;
+    }
+    this.components.push(componentize(intrinsic.apply(undefined, args)));
+};
+
+
+ProcedureContext.prototype.executeSend = async function(modifier, index) {
+    const message = this.messages.getItem(index);
+    var args = [];
+    if (modifier === types.TO_COMPONENT_WITH_ARGUMENTS || modifier === types.TO_DOCUMENT_WITH_ARGUMENTS ||
+            modifier === types.TO_SUPER_WITH_ARGUMENTS) {
+        args = this.components.pop().toArray();
+    }
+    if (modifier === types.TO_SUPER || modifier === types.TO_SUPER_WITH_ARGUMENTS) {
+        // execute the ancestor's method that this method overrides on the same target
+        this.components.push(componentize(await this.executeSuper(message, args)));
+        return;
+    }
+    const target = this.components.pop();
+    var result;
+    if (this.environment.sendMessage) {
+        result = await this.environment.sendMessage(target, message, bali.list(args));
+    } else if (modifier === types.TO_COMPONENT || modifier === types.TO_COMPONENT_WITH_ARGUMENTS) {
+        // dispatch the message to the corresponding method on the local component
+        const name = message.getValue();
+        const getter = 'get' + name.charAt(0).toUpperCase() + name.slice(1);
+        const method = target[name] || target[getter];
+        if (typeof method !== 'function') {
+            const exception = bali.exception({
+                $module: moduleName,
+                $procedure: '$executeSend',
+                $exception: '$unsupportedMessage',
+                $message: message,
+                $text: '"The target component does not support the message."'
+            });
+            if (this.debug) console.error(exception.toString());
+            throw exception;
+        }
+        result = method.apply(target, args);
+    } else {
+        result = await this.invokeStub('sendMessage', target, message, bali.list(args));
+    }
+    this.components.push(componentize(result));
+};
+
+
+/*
+ * This method executes the method for a message that is implemented by the nearest ancestor
+ * of the type that defines the method that is currently being executed. The ancestor's
+ * method is executed on the target of the current method.
+ */
+ProcedureContext.prototype.executeSuper = async function(message, args) {
+    var parent = this.parent;
+    while (parent && !bali.areEqual(parent, bali.pattern.NONE)) {
+        const contract = await this.invokeStub('retrieveContract', parent);
+        if (!contract) {
+            const exception = bali.exception({
+                $module: moduleName,
+                $procedure: '$executeSuper',
+                $exception: '$missingType',
+                $type: parent,
+                $text: '"The named type was not found in the repository."'
+            });
+            if (this.debug) console.error(exception.toString());
+            throw exception;
+        }
+        const type = contract.getAttribute('$document');
+        const methods = type.getAttribute('$methods');
+        const method = methods && methods.getAttribute(message);
+        if (method) {
+            const interpreter = new Interpreter(this.intrinsics, this.debug);
+            return await interpreter.executeMethod(this.environment, type, method, this.argumentz[0], bali.list(args));
+        }
+        parent = type.getAttribute('$parent');
+    }
+    const exception = bali.exception({
+        $module: moduleName,
+        $procedure: '$executeSuper',
+        $exception: '$unsupportedMessage',
+        $message: message,
+        $parent: this.parent || bali.pattern.NONE,
+        $text: '"No ancestor of the type implements a method for the message."'
+    });
+    if (this.debug) console.error(exception.toString());
+    throw exception;
+};
+
+
+/*
+ * This method hands the exception to the most recently pushed exception handler. The
+ * component stack is first unwound to its depth when the handler was pushed. If there
+ * are no handlers left the exception is thrown back to the caller of the method.
+ */
+ProcedureContext.prototype.handleException = function(exception) {
+    if (this.handlers.length) {
+        const handler = this.handlers.pop();
+        this.components.length = handler.depth;
+        this.components.push(exception);
+        this.address = handler.address;
+        return;
+    }
+    const unhandled = bali.exception({
+        $module: moduleName,
+        $procedure: '$executeMethod',
+        $exception: '$unhandledException',
+        $value: exception,
+        $text: '"The method threw an exception that it did not handle."'
+    });
+    if (this.debug) console.error(unhandled.toString());
+    throw unhandled;
+};
+
+
+/*
+ * This method invokes the named stub function in the environment and waits for its result.
+ */
+ProcedureContext.prototype.invokeStub = async function(name) {
+    const stub = this.environment[name];
+    if (typeof stub !== 'function') {
+        const exception = bali.exception({
+            $module: moduleName,
+            $procedure: '$invokeStub',
+            $exception: '$missingStub',
+            $stub: name,
+            $text: '"The environment does not provide the required stub function."'
+        });
+        if (this.debug) console.error(exception.toString());
+        throw exception;
+    }
+    const args = Array.prototype.slice.call(arguments, 1);
+    return await stub.apply(this.environment, args);
+};
+
+
+// PRIVATE FUNCTIONS
+
+/*
+ * This function determines whether or not an exception is a fault raised by the interpreter
+ * itself (e.g. a missing stub) that no procedure can handle.
+ */
+const isFault = function(cause) {
+    if (!cause.getAttribute) return false;
+    const module = cause.getAttribute('$module');
+    if (!module || module.toString() !== moduleName) return false;
+    return FAULTS.includes(cause.getAttribute('$exception').toString());
+};
+
+
+/*
+ * This function determines whether or not an exception was thrown because a method that was
+ * executed by the interpreter did not handle an exception.
+ */
+const isUnhandled = function(cause) {
+    if (!cause.getAttribute) return false;
+    const module = cause.getAttribute('$module');
+    if (!module || module.toString() !== moduleName) return false;
+    return cause.getAttribute('$exception').toString() === '$unhandledException';
+};
+
+
+/*
+ * This function verifies that each set of intrinsic extensions that the type was compiled
+ * against has been registered in this virtual machine with the same functions, indices and
+ * numbers of arguments.
+ */
+const checkExtensions = function(interpreter, type) {
+    const extensions = type.getAttribute('$extensions');
+    if (!extensions) return;
+    const iterator = extensions.getIterator();
+    while (iterator.hasNext()) {
+        const association = iterator.getNext();
+        const name = association.getKey();
+        const registered = interpreter.intrinsics.getExtensions(name.toString());
+        if (!registered || !bali.areEqual(registered, association.getValue())) {
+            const exception = bali.exception({
+                $module: moduleName,
+                $procedure: '$executeMethod',
+                $exception: '$missingExtensions',
+                $extensions: name,
+                $text: '"The type was compiled against intrinsic extensions that are not available."'
+            });
+            if (interpreter.debug) console.error(exception.toString());
+            throw exception;
+        }
+    }
+};
+
+
+/*
+ * This function converts a JavaScript value returned by an intrinsic function, a stub or
+ * a component method into the corresponding component. Non-component objects like
+ * iterators are left as they are since they only live on the component stack.
+ */
+const componentize = function(value) {
+    switch (typeof value) {
+        case 'undefined':
+            return bali.pattern.NONE;
+        case 'boolean':
+            return bali.boolean(value);
+        case 'number':
+            return bali.number(value);
+        case 'string':
+            return bali.text(value);
+        default:
+            return value === null ? bali.pattern.NONE : value;
+    }
+};
+
+
+/*
+ * This function looks up the implementation of an intrinsic function in the library
+ * of the component framework that is associated with the type of its first argument
+ * (e.g. bali.number.sum() for '$sum' with a number).
+ */
+const libraryFunction = function(name, args) {
+    if (!args.length || !args[0].getType) return;
+    var library = args[0].getType().split('/')[3];
+    library = library.charAt(0).toLowerCase() + library.slice(1);
+    library = bali[library];
+    if (library && typeof library[name.slice(1)] === 'function') {
+        return library[name.slice(1)];
+    }
+};
+
+
+/*
+ * This function returns the value that is used as an index into a composite component.
+ */
+const indexOf = function(composite, index) {
+    if (composite.isType('/bali/collections/Catalog')) return index;
+    return index.toInteger();
+};
+
+
+/*
+ * The exceptions raised by the interpreter itself when the environment or virtual machine
+ * cannot support a method. They are never handed to the handlers in the method.
+ */
+const FAULTS = ['$missingStub', '$unsupportedIntrinsic', '$missingExtensions', '$missingType'];
+
+
+/*
+ * This object maps the intrinsic functions that cannot be delegated directly to the
+ * component framework libraries onto their JavaScript implementations.
+ */
+const INTRINSICS = {
+    $addItem: function(collection, item) {
+        collection.addItem(item);
+        return collection;
+    },
+    $areEqual: function(first, second) {
+        return bali.areEqual(first, second);
+    },
+    $areSame: function(first, second) {
+        return first === second;
+    },
+    $association: function(key, value) {
+        return bali.association(key, value);
+    },
+    $attribute: function(composite, index) {
+        if (composite.isType('/bali/collections/Catalog')) return composite.getAttribute(index);
+        return composite.getItem(indexOf(composite, index));
+    },
+    $catalog: function(parameters) {
+        return bali.catalog(undefined, parameters);
+    },
+    $default: function(value, defaultValue) {
+        return bali.areEqual(value, bali.pattern.NONE) ? defaultValue : value;
+    },
+    $doesMatch: function(component, pattern) {
+        return bali.doesMatch(component, pattern);
+    },
+    $duplicate: function(component) {
+        return bali.duplicate(component);
+    },
+    $format: function(component) {
+        if (component.isType('/bali/strings/Text')) return component;  // already formatted
+        return bali.source(component);
+    },
+    $isLess: function(first, second) {
+        return bali.ranking(first, second) < 0;
+    },
+    $isMore: function(first, second) {
+        return bali.ranking(first, second) > 0;
+    },
+    $iterator: function(sequence) {
+        return sequence.getIterator();
+    },
+    $list: function(parameters) {
+        return bali.list(undefined, parameters);
+    },
+    $magnitude: function(number) {
+        return number.getMagnitude();
+    },
+    $nextVersion: function(version, level) {
+        return bali.version.nextVersion(version, level ? level.toInteger() : undefined);
+    },
+    $parameters: function(component) {
+        return component.getParameters();
+    },
+    $queue: function(parameters) {
+        return bali.queue(undefined, parameters);
+    },
+    $range: function(connector, parameters) {
+        return bali.range(undefined, connector.getValue(), undefined, parameters);
+    },
+    $set: function(parameters) {
+        return bali.set(undefined, parameters);
+    },
+    $setAttribute: function(composite, index, value) {
+        if (composite.isType('/bali/collections/Catalog')) {
+            composite.setAttribute(index, value);
+        } else {
+            composite.setItem(indexOf(composite, index), value);
+        }
+        return composite;
+    },
+    $setFirst: function(range, first) {
+        range.setFirst(first);
+        return range;
+    },
+    $scaled: function(component, factor) {
+        return libraryFunction('$scaled', [component])(component, factor.toReal());  // the libraries expect a JavaScript number
+    },
+    $setLast: function(range, last) {
+        range.setLast(last);
+        return range;
+    },
+    $setParameter: function(component, key, value) {
+        component.setParameter(key, value);
+        return component;
+    },
+    $size: function(collection) {
+        return collection.getSize();
+    },
+    $stack: function(parameters) {
+        return bali.stack(undefined, parameters);
+    }
+};
@@ -0,0 +1,438 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+'use strict';
+
+
+/*
+ * This module defines the registry of intrinsic functions that are supported by the
+ * Bali Nebula™ virtual machine. The compiler, assembler, disassembler, verifier and
+ * interpreter all rely on this registry for the index used to encode each intrinsic
+ * function in the bytecode, the number of arguments it accepts, and the types of its
+ * arguments and result.
+ *
+ * Each signature contains the following attributes:
+ * <pre>
+ *   name:      the name of the intrinsic function (e.g. '$sum')
+ *   index:     the index used to encode the intrinsic function in a CALL instruction
+ *   minimum:   the minimum number of arguments that must be passed to the function
+ *   maximum:   the maximum number of arguments that may be passed to the function, if it
+ *              is more than three the third and any later arguments are packed into a
+ *              list that is passed as the third argument
+ *   argumentz: the short names of the core types (e.g. 'Number') that are allowed for
+ *              each argument, or 'any' if any type is allowed
+ *   result:    the short name of the core type of the result, 'first' if it has the same
+ *              type as the first argument, or 'any' if it is not known at compile time
+ *   same:      whether or not the first two arguments must have the same type
+ *   seconds:   the second argument types that override argumentz for specific first argument types
+ *   results:   the result types that override 'first' for specific first argument types
+ * </pre>
+ *
+ * The number of arguments for each intrinsic function is taken from the definition that
+ * the virtual machine delegates it to, which is cited next to its signature. This is
+ * either a component framework function (e.g. bali.html(component, title, style)), a
+ * method on the component passed as the first argument (e.g. moment.getDay()), or the
+ * implementation in the reference interpreter (e.g. interpreter $format(component)).
+ * The trailing debug parameter of a framework function is never passed as an argument.
+ *
+ * Additional domain specific intrinsic functions may be registered with a registry as a
+ * named set of extensions. Their indices are allocated from a reserved range starting at
+ * EXTENSIONS_INDEX, and their signatures also contain the name of the extension set
+ * and an optional JavaScript implementation of the function.
+ */
+const moduleName = '/bali/compiler/Intrinsics';
+const bali = require('bali-component-framework').api();
+const types = require('./Types');
+
+
+// PUBLIC CONSTANTS
+
+exports.EXTENSIONS_INDEX = 1024;  // the first index in the range reserved for extensions
+
+
+/**
+ * This constructor returns a registry of the intrinsic functions that are supported by the
+ * virtual machine. Each registry keeps its own sets of registered extensions so that the
+ * extensions registered with one compiler are not seen by any other compiler.
+ *
+ * An optional debug argument may be specified that controls the level of debugging that
+ * should be applied during execution. The allowed levels are as follows:
+ * <pre>
+ *   0: no debugging is applied (this is the default value and has the best performance)
+ *   1: log any exceptions to console.error before throwing them
+ *   2: perform argument validation checks on each call (poor performance)
+ *   3: log interesting arguments, states and results to console.log
+ * </pre>
+ *
+ * @returns {Intrinsics} The new intrinsic function registry.
+ */
+function Intrinsics(debug) {
+    this.debug = debug || 0;  // default is off
+    this.extended = [];  // the signatures of the registered extensions in the order of their indices
+    this.signatures = {};  // the signature of each registered extension indexed by its name
+    this.extensions = {};  // the signatures of each registered extension set indexed by its name
+    return this;
+}
+Intrinsics.prototype.constructor = Intrinsics;
+exports.Intrinsics = Intrinsics;
+
+
+// PUBLIC METHODS
+
+/**
+ * This method returns the names of the intrinsic functions followed by the names of any
+ * registered extensions.
+ *
+ * @returns {Array} An array containing the names of the intrinsic functions.
+ */
+Intrinsics.prototype.getNames = function() {
+    return REGISTRY.concat(this.extended.filter(Boolean)).map(function(signature) {
+        return signature.name;
+    });
+};
+
+
+/**
+ * This method returns the name of the intrinsic function that is encoded using the
+ * specified index.
+ *
+ * @param {Number} index The index of the intrinsic function.
+ * @returns {String} The name of the intrinsic function or undefined if there isn't one.
+ */
+Intrinsics.prototype.getName = function(index) {
+    var signature;
+    if (index >= exports.EXTENSIONS_INDEX) {
+        signature = this.extended[index - exports.EXTENSIONS_INDEX];
+    } else {
+        signature = REGISTRY[index - 1];  // the zero index is not a valid intrinsic function
+    }
+    if (signature) return signature.name;
+};
+
+
+/**
+ * This method returns the index that is used to encode the named intrinsic function.
+ *
+ * @param {String} name The name of the intrinsic function.
+ * @returns {Number} The index of the intrinsic function or undefined if there isn't one.
+ */
+Intrinsics.prototype.getIndex = function(name) {
+    const signature = this.getSignature(name);
+    if (signature) return signature.index;
+};
+
+
+/**
+ * This method returns the signature of the named intrinsic function.
+ *
+ * @param {String} name The name of the intrinsic function.
+ * @returns {Object} The signature of the intrinsic function or undefined if there isn't one.
+ */
+Intrinsics.prototype.getSignature = function(name) {
+    return SIGNATURES[name] || this.signatures[name];  // undefined if it is not an intrinsic function
+};
+
+
+/**
+ * This method returns a catalog describing the index and number of arguments of each
+ * intrinsic function in the named set of extensions. A type records this catalog for
+ * each set of extensions that it calls so that the virtual machine can check that it
+ * has the same set of extensions registered.
+ *
+ * @param {String} name The name of the set of extensions.
+ * @returns {Catalog} A catalog describing the extensions or undefined if the set is not registered.
+ */
+Intrinsics.prototype.getExtensions = function(name) {
+    const signatures = this.extensions[name];
+    if (!signatures) return;
+    const catalog = bali.catalog();
+    signatures.forEach(function(signature) {
+        catalog.setAttribute(signature.name, bali.catalog({
+            $index: signature.index,
+            $minimum: signature.minimum,
+            $maximum: signature.maximum
+        }));
+    });
+    return catalog;
+};
+
+
+/**
+ * This method registers a named set of extensions. Each extension is defined by an object
+ * containing the minimum and maximum number of arguments, the argument and result types,
+ * and an optional JavaScript implementation of the function.
+ *
+ * @param {String} name The name of the set of extensions.
+ * @param {Object} functions An object mapping the name of each extension to its definition.
+ * @returns {Number} The index of the first extension in the set.
+ */
+Intrinsics.prototype.registerExtensions = function(name, functions) {
+    if (this.extensions[name] !== undefined) {
+        throwException('$duplicateExtensions', name, 'An extension set with this name has already been registered.');
+    }
+    const names = Object.keys(functions);
+    const first = exports.EXTENSIONS_INDEX + this.extended.length;
+    if (first + names.length - 1 > types.MAXIMUM_OPERAND) {
+        throwException('$extensionOverflow', name, 'There are no more indices available for extensions.');
+    }
+    const signatures = names.map(function(intrinsic, offset) {
+        const definition = functions[intrinsic];
+        if (this.getSignature(intrinsic) || !intrinsic.startsWith('$')) {
+            throwException('$invalidIntrinsic', name, 'The extension name must be a symbol that is not already an intrinsic function.', intrinsic);
+        }
+        const minimum = definition.minimum || 0;
+        const maximum = definition.maximum === undefined ? minimum : definition.maximum;
+        if (minimum > maximum) {
+            throwException('$invalidSignature', name, 'The minimum number of arguments is more than the maximum.', intrinsic);
+        }
+        return signature(intrinsic, minimum, maximum, definition.argumentz, definition.result, {
+            same: definition.same || false,
+            seconds: definition.seconds,
+            results: definition.results,
+            index: first + offset,
+            extensions: name,
+            implementation: definition.implementation
+        });
+    }, this);
+    signatures.forEach(function(signature) {
+        this.extended.push(signature);
+        this.signatures[signature.name] = signature;
+    }, this);
+    this.extensions[name] = signatures;
+    return first;
+};
+
+
+/**
+ * This method unregisters a named set of extensions. The indices of the extensions may
+ * be reused by extensions that are registered later.
+ *
+ * @param {String} name The name of the set of extensions.
+ */
+Intrinsics.prototype.unregisterExtensions = function(name) {
+    if (this.extensions[name] === undefined) {
+        throwException('$unknownExtensions', name, 'No extension set with this name has been registered.', undefined, '$unregisterExtensions');
+    }
+    this.extended.forEach(function(signature, offset) {
+        if (signature && signature.extensions === name) {
+            delete this.signatures[signature.name];
+            this.extended[offset] = undefined;
+        }
+    }, this);
+    while (this.extended.length && !this.extended[this.extended.length - 1]) this.extended.pop();  // reuse the trailing indices
+    delete this.extensions[name];
+};
+
+
+// PRIVATE FUNCTIONS
+
+/*
+ * This function returns a new signature for an intrinsic function. By default each argument
+ * and the result may be of any type.
+ */
+const signature = function(name, minimum, maximum, argumentz, result, options) {
+    const attributes = {
+        name: name,
+        minimum: minimum,
+        maximum: maximum,
+        argumentz: argumentz || new Array(maximum).fill(ANY),
+        result: result || ANY,
+        same: false
+    };
+    return Object.assign(attributes, options);
+};
+
+
+/*
+ * This function throws an exception describing a problem with a set of extensions.
+ */
+const throwException = function(name, extensions, text, intrinsic, procedure) {
+    const exception = bali.catalog({
+        $module: moduleName,
+        $procedure: procedure || '$registerExtensions',
+        $exception: name,
+        $extensions: bali.component(extensions)
+    });
+    if (intrinsic) exception.setAttribute('$intrinsic', bali.component(intrinsic));
+    exception.setAttribute('$text', bali.text(text));
+    throw bali.exception(exception);
+};
+
+
+// PRIVATE ATTRIBUTES
+
+// the short names of the sets of core types that are accepted by related intrinsic functions
+const ANY = 'any';
+const ARITHMETIC = ['Angle', 'Duration', 'Number', 'Percentage'];
+const TEMPORAL = ['Angle', 'Duration', 'Moment', 'Number', 'Percentage'];
+const LOGICAL = ['Binary', 'Boolean', 'Probability', 'Set'];
+const CHAINABLE = ['Binary', 'Catalog', 'List', 'Name', 'Symbol', 'Text', 'Version'];
+
+// the short names of the types that may be chained onto each chainable type
+const SEQUENCES = {
+    Binary: ['Binary'],
+    Catalog: CHAINABLE.concat('Set'),
+    List: CHAINABLE.concat('Set'),
+    Name: ['Name', 'Symbol', 'Text'],
+    Symbol: ['Symbol', 'Text'],
+    Text: ['Symbol', 'Text'],
+    Version: ['Version']
+};
+
+// the signatures of the intrinsic functions in the order of their indices (starting at one)
+const REGISTRY = [
+    signature('$addItem', 2, 2),  // interpreter $addItem(collection, item)
+    signature('$ancestry', 1, 1),  // component.getAncestry()
+    signature('$and', 2, 2, [LOGICAL, LOGICAL], 'first', {same: true}),  // bali.boolean.and(first, second)
+    signature('$arccosine', 1, 1, [['Number']], 'Angle'),  // bali.angle.arccosine(ratio)
+    signature('$arcsine', 1, 1, [['Number']], 'Angle'),  // bali.angle.arcsine(ratio)
+    signature('$arctangent', 2, 2, [['Number'], ['Number']], 'Angle'),  // bali.angle.arctangent(opposite, adjacent)
+    signature('$areEqual', 2, 2, [ANY, ANY], 'Boolean'),  // interpreter $areEqual(first, second)
+    signature('$areSame', 2, 2, [ANY, ANY], 'Boolean'),  // interpreter $areSame(first, second)
+    signature('$association', 2, 2, [ANY, ANY], 'Association'),  // interpreter $association(key, value)
+    signature('$attribute', 2, 2),  // interpreter $attribute(composite, index)
+    signature('$authority', 1, 1),  // resource.getAuthority()
+    signature('$base02', 1, 2),  // decoder.base02Encode(buffer, indentation)
+    signature('$base16', 1, 2),  // decoder.base16Encode(buffer, indentation)
+    signature('$base32', 1, 2),  // decoder.base32Encode(buffer, indentation)
+    signature('$base64', 1, 2),  // decoder.base64Encode(buffer, indentation)
+    signature('$binary', 1, 2),  // bali.binary(value, parameters)
+    signature('$bytes', 1, 1),  // tag.getBytes()
+    signature('$catalog', 0, 1, [ANY], 'Catalog'),  // interpreter $catalog(parameters)
+    signature('$chain', 2, 2, [CHAINABLE, CHAINABLE], 'first', {seconds: SEQUENCES}),  // bali.list.chain(first, second)
+    signature('$citation', 1, 1),  // notary.citeDocument(document)
+    signature('$code', 1, 1),  // procedure.getCode()
+    signature('$coinToss', 1, 1, [['Probability']], 'Boolean'),  // generator.flipCoin(weight)
+    signature('$comparator', 0, 0),  // bali.comparator()
+    signature('$complement', 1, 1, [['Angle']], 'Angle'),  // bali.angle.complement(angle)
+    signature('$component', 1, 1),  // bali.component(bdn)
+    signature('$conjugate', 1, 1, [['Angle', 'Number']], 'first'),  // bali.number.conjugate(number)
+    signature('$connector', 1, 1),  // range.getConnector()
+    signature('$cosine', 1, 1, [['Angle']], 'Number'),  // bali.angle.cosine(angle)
+    signature('$day', 1, 1),  // moment.getDay()
+    signature('$days', 1, 1),  // duration.getDays()
+    signature('$default', 2, 2),  // interpreter $default(value, defaultValue)
+    signature('$degrees', 1, 1),  // angle.getDegrees()
+    signature('$difference', 2, 2, [TEMPORAL, TEMPORAL], 'first', {same: true, results: {Moment: 'Duration'}}),  // bali.number.difference(first, second)
+    signature('$document', 1, 1),  // bali.document(component)
+    signature('$doesMatch', 2, 2, [ANY, ANY], 'Boolean'),  // interpreter $doesMatch(component, pattern)
+    signature('$duplicate', 1, 1),  // interpreter $duplicate(component)
+    signature('$duration', 1, 2),  // bali.duration(value, parameters)
+    signature('$earlier', 2, 2, [['Moment'], ['Duration']], 'Moment'),  // bali.moment.earlier(moment, duration)
+    signature('$effective', 1, 1),  // bali.range.effective(range)
+    signature('$emptyCollection', 1, 1),  // collection.emptyCollection()
+    signature('$exponential', 2, 2, [['Number'], ['Number']], 'Number'),  // bali.number.exponential(base, exponent)
+    signature('$factorial', 1, 1, [['Number']], 'Number'),  // bali.number.factorial(number)
+    signature('$first', 1, 1),  // range.getFirst()
+    signature('$format', 1, 1),  // interpreter $format(component)
+    signature('$fragment', 1, 1),  // resource.getFragment()
+    signature('$hasNext', 1, 1, [ANY], 'Boolean'),  // iterator.hasNext()
+    signature('$hasPrevious', 1, 1, [ANY], 'Boolean'),  // iterator.hasPrevious()
+    signature('$hash', 1, 1),  // component.getHash()
+    signature('$head', 1, 1),  // queue.headItem()
+    signature('$hour', 1, 1),  // moment.getHour()
+    signature('$hours', 1, 1),  // duration.getHours()
+    signature('$html', 1, 3),  // bali.html(component, title, style)
+    signature('$imaginary', 1, 1),  // number.getImaginary()
+    signature('$insertItem', 3, 3),  // list.insertItem(slot, item)
+    signature('$insertItems', 3, 3),  // list.insertItems(slot, items)
+    signature('$integer', 1, 1),  // element.toInteger()
+    signature('$interfaces', 1, 1),  // component.getInterfaces()
+    signature('$inverse', 1, 1, [ARITHMETIC], 'first'),  // bali.number.inverse(number)
+    signature('$isEnumerable', 1, 1, [ANY], 'Boolean'),  // range.isEnumerable()
+    signature('$isLess', 2, 2, [ANY, ANY], 'Boolean'),  // interpreter $isLess(first, second)
+    signature('$isMore', 2, 2, [ANY, ANY], 'Boolean'),  // interpreter $isMore(first, second)
+    signature('$isNegative', 1, 1, [ANY], 'Boolean'),  // number.isNegative()
+    signature('$isSignificant', 1, 1, [ANY], 'Boolean'),  // component.isSignificant()
+    signature('$item', 2, 2),  // collection.getItem(index)
+    signature('$iterator', 1, 1),  // interpreter $iterator(sequence)
+    signature('$key', 1, 1),  // association.getKey()
+    signature('$keys', 1, 1),  // catalog.getKeys()
+    signature('$last', 1, 1),  // range.getLast()
+    signature('$later', 2, 2, [['Moment'], ['Duration']], 'Moment'),  // bali.moment.later(moment, duration)
+    signature('$levels', 1, 1),  // version.getValue()
+    signature('$list', 0, 1, [ANY], 'List'),  // interpreter $list(parameters)
+    signature('$logarithm', 2, 2, [['Number'], ['Number']], 'Number'),  // bali.number.logarithm(base, value)
+    signature('$magnitude', 1, 1, [['Number']], 'Number'),  // interpreter $magnitude(number)
+    signature('$matchesText', 2, 2, [ANY, ANY], 'Boolean'),  // pattern.matchesString(string)
+    signature('$millisecond', 1, 1),  // moment.getMillisecond()
+    signature('$milliseconds', 1, 1),  // duration.getMilliseconds()
+    signature('$minute', 1, 1),  // moment.getMinute()
+    signature('$minutes', 1, 1),  // duration.getMinutes()
+    signature('$month', 1, 1),  // moment.getMonth()
+    signature('$months', 1, 1),  // duration.getMonths()
+    signature('$nextItem', 1, 1),  // iterator.getNext()
+    signature('$nextVersion', 1, 2),  // interpreter $nextVersion(version, level)
+    signature('$node', 1, 1),  // bali.node(type)
+    signature('$not', 1, 1, [LOGICAL], 'first'),  // bali.boolean.not(boolean)
+    signature('$now', 0, 0, [], 'Moment'),  // bali.moment()
+    signature('$or', 2, 2, [LOGICAL, LOGICAL], 'first', {same: true}),  // bali.boolean.or(first, second)
+    signature('$parameters', 1, 1),  // interpreter $parameters(component)
+    signature('$path', 1, 1),  // resource.getPath()
+    signature('$phase', 1, 1),  // number.getPhase()
+    signature('$previousItem', 1, 1),  // iterator.getPrevious()
+    signature('$procedure', 1, 2),  // bali.procedure(code, parameters)
+    signature('$product', 2, 2, [['Number'], ['Number']], 'Number'),  // bali.number.product(first, second)
+    signature('$query', 1, 1),  // resource.getQuery()
+    signature('$queue', 0, 1, [ANY], 'Queue'),  // interpreter $queue(parameters)
+    signature('$quotient', 2, 2, [['Number'], ['Number']], 'Number'),  // bali.number.quotient(first, second)
+    signature('$radians', 1, 1),  // angle.getRadians()
+    signature('$random', 0, 0, [], 'Probability'),  // bali.probability.random()
+    signature('$range', 1, 2, [ANY, ANY], 'Range'),  // interpreter $range(connector, parameters)
+    signature('$ranking', 2, 2, [ANY, ANY], 'Number'),  // bali.ranking(first, second)
+    signature('$real', 1, 1),  // number.getReal()
+    signature('$reciprocal', 1, 1, [['Number']], 'Number'),  // bali.number.reciprocal(number)
+    signature('$remainder', 2, 2, [['Number'], ['Number']], 'Number'),  // bali.number.remainder(first, second)
+    signature('$removeAttribute', 2, 2),  // catalog.removeAttribute(key)
+    signature('$removeHead', 1, 1),  // queue.removeItem()
+    signature('$removeIndex', 2, 2),  // list.removeItem(index)
+    signature('$removeIndices', 2, 2),  // list.removeItems(indices)
+    signature('$removeItem', 2, 2),  // set.removeItem(item)
+    signature('$removeTop', 1, 1),  // stack.removeItem()
+    signature('$reverseItems', 1, 1),  // list.reverseItems()
+    signature('$sans', 2, 2, [LOGICAL, LOGICAL], 'first', {same: true}),  // bali.boolean.sans(first, second)
+    signature('$scaled', 2, 2, [ARITHMETIC, ['Number', 'Percentage', 'Probability']], 'first'),  // interpreter $scaled(component, factor.toReal())
+    signature('$scheme', 1, 1),  // resource.getScheme()
+    signature('$second', 1, 1),  // moment.getSecond()
+    signature('$seconds', 1, 1),  // duration.getSeconds()
+    signature('$set', 0, 1, [ANY], 'Set'),  // interpreter $set(parameters)
+    signature('$setAttribute', 3, 3),  // interpreter $setAttribute(composite, index, value)
+    signature('$setFirst', 2, 2),  // interpreter $setFirst(range, first)
+    signature('$setItem', 3, 3),  // list.setItem(index, item)
+    signature('$setLast', 2, 2),  // interpreter $setLast(range, last)
+    signature('$setParameter', 3, 3),  // interpreter $setParameter(component, key, value)
+    signature('$setValue', 2, 2),  // association.setValue(value)
+    signature('$shuffleItems', 1, 1),  // list.shuffleItems()
+    signature('$sine', 1, 1, [['Angle']], 'Number'),  // bali.angle.sine(angle)
+    signature('$size', 1, 1, [ANY], 'Number'),  // interpreter $size(collection)
+    signature('$sortItems', 1, 3),  // list.sortItems(sorter, comparator)
+    signature('$sorter', 0, 0),  // bali.sorter()
+    signature('$source', 1, 2, [ANY, ['Number']], 'Text'),  // bali.source(component, indentation)
+    signature('$stack', 0, 1, [ANY], 'Stack'),  // interpreter $stack(parameters)
+    signature('$sum', 2, 2, [ARITHMETIC, ARITHMETIC], 'first', {same: true}),  // bali.number.sum(first, second)
+    signature('$supplement', 1, 1, [['Angle']], 'Angle'),  // bali.angle.supplement(angle)
+    signature('$tag', 0, 2),  // bali.tag(value, parameters)
+    signature('$tangent', 1, 1, [['Angle']], 'Number'),  // bali.angle.tangent(angle)
+    signature('$toEnd', 1, 1),  // iterator.toEnd()
+    signature('$toSlot', 2, 2),  // iterator.toSlot(slot)
+    signature('$toStart', 1, 1),  // iterator.toStart()
+    signature('$top', 1, 1),  // stack.topItem()
+    signature('$value', 1, 1),  // element.getValue()
+    signature('$weeks', 1, 1),  // duration.getWeeks()
+    signature('$xor', 2, 2, [LOGICAL, LOGICAL], 'first', {same: true}),  // bali.boolean.xor(first, second)
+    signature('$year', 1, 1),  // moment.getYear()
+    signature('$years', 1, 1)  // duration.getYears()
+];
+
+// the signature of each intrinsic function indexed by its name
+const SIGNATURES = {};
+REGISTRY.forEach(function(signature, index) {
+    signature.index = index + 1;
+    SIGNATURES[signature.name] = signature;
+});
@@ -0,0 +1,500 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+'use strict';
+
+/**
+ * This module defines a class that performs peephole optimizations on the assembly
+ * instructions for a compiled method before they are assembled into bytecode.
+ */
+const moduleName = '/bali/compiler/Optimizer';
+const bali = require('bali-component-framework').api();
+const types = require('./Types');
+const Parser = require('./Parser').Parser;
+const Formatter = require('./Formatter').Formatter;
+
+
+/**
+ * This constructor returns an optimizer that rewrites the instructions for a compiled
+ * method into a smaller but equivalent sequence of instructions.
+ *
+ * An optional debug argument may be specified that controls the level of debugging that
+ * should be applied during execution. The allowed levels are as follows:
+ * <pre>
+ *   0: no debugging is applied (this is the default value and has the best performance)
+ *   1: log any exceptions to console.error before throwing them
+ *   2: perform argument validation checks on each call (poor performance)
+ *   3: log interesting arguments, states and results to console.log
+ * </pre>
+ *
+ * @returns {Optimizer} The new instruction optimizer.
+ */
+function Optimizer(debug) {
+    this.debug = debug || 0;  // default is off
+    return this;
+}
+Optimizer.prototype.constructor = Optimizer;
+exports.Optimizer = Optimizer;
+
+
+// PUBLIC METHODS
+
+/**
+ * This method optimizes the instructions for a compiled method. The instructions that can
+ * never be reached are always removed. The optimization level determines which other
+ * optimizations are applied:
+ * <pre>
+ *   0: no other optimizations are applied
+ *   1: remove 'JUMP TO NEXT INSTRUCTION' fillers, thread jumps to unconditional jumps, and
+ *      remove unconditional jumps to the next instruction
+ *   2: also remove temporary variables that are saved and then immediately loaded
+ * </pre>
+ * The '$instructions', '$addresses', '$statements' and '$variables' attributes of the
+ * method are updated to reflect the optimized instructions.
+ *
+ * @param {Catalog} type The type context for the method being optimized.
+ * @param {Catalog} method The compiled method being optimized.
+ * @param {Number} level The level of optimization to be applied (default is 1).
+ * @returns {List} A list of the source statements that can never be reached.
+ */
+Optimizer.prototype.optimizeMethod = function(type, method, level) {
+    if (level === undefined) level = 1;
+    if (typeof level !== 'number' || level < 0 || level > 2) {
+        const exception = bali.exception({
+            $module: moduleName,
+            $procedure: '$optimizeMethod',
+            $exception: '$invalidParameter',
+            $level: level,
+            $text: '"The optimization level must be a number in the range [0..2]."'
+        });
+        if (this.debug) console.error(exception.toString());
+        throw exception;
+    }
+
+    // parse the instructions into an array that can be rewritten in place
+    const parser = new Parser(this.debug);
+    const list = parser.parseInstructions(method.getAttribute('$instructions').getValue()).toArray();
+    const original = addressInstructions(list);
+
+    // apply the optimizations
+    const removed = removeUnreachable(list);
+    const unreachable = unreachableStatements(method, original, removed);
+    if (level > 0) {
+        removeFillers(list);
+        threadJumps(list);
+        removeJumpsToNext(list);
+    }
+    if (level > 1) {
+        removeTemporaries(list);
+        removeFillers(list);
+    }
+
+    // update the method to reflect the optimized instructions
+    const current = addressInstructions(list);
+    updateAddresses(method, list, current);
+    updateStatements(method, original, current);
+    if (level > 1) updateVariables(method, list);
+    const formatter = new Formatter(this.debug);
+    const instructions = formatter.formatInstructions(bali.list(list));
+    method.setAttribute('$instructions', bali.text(instructions, {$mediaType: 'application/basm'}));
+    return unreachable;
+};
+
+
+// PRIVATE FUNCTIONS
+
+/*
+ * This function returns the label of the specified instruction as a string, or undefined
+ * if the instruction has no label.
+ */
+const getLabel = function(instruction) {
+    const label = instruction.getAttribute('$label');
+    if (label) return label.getValue();
+};
+
+
+/*
+ * This function determines whether or not the specified instruction is a note. Notes
+ * don't take up an address in the bytecode.
+ */
+const isNote = function(instruction) {
+    return instruction.getAttribute('$operation').toInteger() === types.NOTE;
+};
+
+
+/*
+ * This function determines whether or not the specified instruction is a
+ * 'JUMP TO NEXT INSTRUCTION' filler.
+ */
+const isFiller = function(instruction) {
+    return instruction.getAttribute('$operation').toInteger() === types.JUMP &&
+        !instruction.getAttribute('$modifier');
+};
+
+
+/*
+ * This function determines whether or not the specified instruction is an unconditional
+ * jump to a label.
+ */
+const isUnconditionalJump = function(instruction) {
+    if (instruction.getAttribute('$operation').toInteger() !== types.JUMP) return false;
+    const modifier = instruction.getAttribute('$modifier');
+    return modifier !== undefined && modifier.toInteger() === types.ON_ANY;
+};
+
+
+/*
+ * This function returns the label that the specified instruction refers to, or undefined
+ * if the instruction does not refer to a label.
+ */
+const getTarget = function(instruction) {
+    const operation = instruction.getAttribute('$operation').toInteger();
+    const modifier = instruction.getAttribute('$modifier');
+    if (operation === types.JUMP && modifier) {
+        return instruction.getAttribute('$operand').getValue();
+    }
+    if (operation === types.PUSH && modifier.toInteger() === types.HANDLER) {
+        return instruction.getAttribute('$operand').getValue();
+    }
+};
+
+
+/*
+ * This function returns the index of the instruction with the specified label, or -1 if
+ * no instruction has that label.
+ */
+const findLabel = function(list, label) {
+    return list.findIndex(function(instruction) {
+        return getLabel(instruction) === label;
+    });
+};
+
+
+/*
+ * This function returns the index of the first instruction at or after the specified index
+ * that takes up an address in the bytecode (i.e. is not a note).
+ */
+const skipNotes = function(list, index) {
+    while (index < list.length && isNote(list[index])) index++;
+    return index;
+};
+
+
+/*
+ * This function changes all references to the specified label so that they refer to the
+ * new label instead.
+ */
+const retarget = function(list, label, newLabel) {
+    list.forEach(function(instruction) {
+        if (getTarget(instruction) === label) {
+            instruction.setAttribute('$operand', bali.text(newLabel));
+        }
+    });
+};
+
+
+/*
+ * This function removes the instruction at the specified index. If the instruction has
+ * a label, the label is moved to the next instruction, or if the next instruction
+ * already has a label, all references to the label are changed to refer to it instead.
+ */
+const removeInstruction = function(list, index) {
+    const label = getLabel(list[index]);
+    list.splice(index, 1);
+    if (label) {
+        const next = list[index];
+        const nextLabel = getLabel(next);
+        if (nextLabel) {
+            retarget(list, label, nextLabel);
+        } else {
+            next.setAttribute('$label', bali.text(label));
+        }
+    }
+};
+
+
+/*
+ * This function returns the indices of the instructions that may be executed immediately
+ * after the instruction at the specified index.
+ */
+const getSuccessors = function(list, index) {
+    const instruction = list[index];
+    const next = skipNotes(list, index + 1);
+    const operation = instruction.getAttribute('$operation').toInteger();
+    const modifier = instruction.getAttribute('$modifier');
+    switch (operation) {
+        case types.JUMP:
+            if (!modifier) return [next];  // JUMP TO NEXT INSTRUCTION
+            const target = skipNotes(list, findLabel(list, getTarget(instruction)));
+            if (modifier.toInteger() === types.ON_ANY) return [target];
+            return [target, next];
+        case types.PUSH:
+            if (modifier.toInteger() === types.HANDLER) {
+                return [next, skipNotes(list, findLabel(list, getTarget(instruction)))];
+            }
+            return [next];
+        case types.PULL:
+            const type = modifier.toInteger();
+            if (type === types.RESULT || type === types.EXCEPTION) return [];
+            return [next];
+        default:
+            return [next];
+    }
+};
+
+
+/*
+ * This function returns the set of indices of the instructions that can be reached from
+ * the first instruction by following the jumps and handlers in the instructions.
+ */
+const findReachable = function(list) {
+    const reachable = new Set();
+    const pending = [skipNotes(list, 0)];
+    while (pending.length > 0) {
+        const index = pending.pop();
+        if (index >= list.length || reachable.has(index)) continue;
+        reachable.add(index);
+        pending.push.apply(pending, getSuccessors(list, index));
+    }
+    return reachable;
+};
+
+
+/*
+ * This function removes all instructions that cannot be reached from the first instruction.
+ * Any notes preceding a removed instruction are removed as well. The removed instructions
+ * are returned.
+ */
+const removeUnreachable = function(list) {
+    const reachable = findReachable(list);
+    const removed = [];
+    const kept = list.filter(function(instruction, index) {
+        const next = skipNotes(list, index);
+        if (next >= list.length || reachable.has(next)) return true;
+        if (!isNote(instruction)) removed.push(instruction);
+        return false;
+    });
+    list.splice.apply(list, [0, list.length].concat(kept));
+    return removed;
+};
+
+
+/*
+ * This function returns a list of the source statements whose first instruction was
+ * removed as unreachable. Statements nested within an unreachable statement are not
+ * listed separately.
+ */
+const unreachableStatements = function(method, original, removed) {
+    const unreachable = bali.list();
+    const statements = method.getAttribute('$statements');
+    if (!statements || removed.length === 0) return unreachable;
+    const addresses = method.getAttribute('$addresses');
+    const removedAddresses = removed.map(function(instruction) {
+        return original.get(instruction);
+    });
+    const labels = [];
+    const prefixes = [];
+    statements.toArray().forEach(function(association) {
+        const statement = association.getValue();
+        const label = statement.getAttribute('$label').getValue();
+        if (labels.includes(label)) return;  // the statement spans several regions
+        labels.push(label);
+        const address = addresses.getAttribute(label).toInteger();
+        if (!removedAddresses.includes(address)) return;
+        const nested = prefixes.some(function(prefix) {
+            return label.startsWith(prefix);
+        });
+        if (nested) return;
+        unreachable.addItem(statement);
+        prefixes.push(label.slice(0, label.lastIndexOf('.') + 1));
+    });
+    return unreachable;
+};
+
+
+/*
+ * This function removes all 'JUMP TO NEXT INSTRUCTION' fillers that were inserted to
+ * hold labels. The last instruction is never removed since there is no instruction
+ * following it that could take over its label.
+ */
+const removeFillers = function(list) {
+    var index = 0;
+    while (index < list.length - 1) {
+        if (isFiller(list[index])) {
+            removeInstruction(list, index);
+        } else {
+            index++;
+        }
+    }
+};
+
+
+/*
+ * This function changes any jump whose target is an unconditional jump so that it jumps
+ * directly to the final target instead.
+ */
+const threadJumps = function(list) {
+    list.forEach(function(instruction) {
+        if (instruction.getAttribute('$operation').toInteger() !== types.JUMP) return;
+        if (!instruction.getAttribute('$modifier')) return;
+        var target = getTarget(instruction);
+        const visited = [target];
+        while (true) {
+            const index = findLabel(list, target);
+            if (index < 0) break;
+            const destination = list[skipNotes(list, index)];
+            if (!destination || !isUnconditionalJump(destination)) break;
+            const next = getTarget(destination);
+            if (visited.includes(next)) break;  // an infinite loop, leave it be
+            visited.push(next);
+            target = next;
+        }
+        instruction.setAttribute('$operand', bali.text(target));
+    });
+};
+
+
+/*
+ * This function removes any unconditional jumps to the instruction that immediately
+ * follows the jump.
+ */
+const removeJumpsToNext = function(list) {
+    var index = 0;
+    while (index < list.length - 1) {
+        const instruction = list[index];
+        if (isUnconditionalJump(instruction)) {
+            const target = findLabel(list, getTarget(instruction));
+            const next = skipNotes(list, index + 1);
+            if (target > index && target <= next && next < list.length) {
+                removeInstruction(list, index);
+                continue;
+            }
+        }
+        index++;
+    }
+};
+
+
+/*
+ * This function removes any temporary variable that is saved and then immediately loaded
+ * if those are the only two references to the variable. The value is simply left on the
+ * component stack instead.
+ */
+const removeTemporaries = function(list) {
+    var index = 0;
+    while (index < list.length - 2) {  // there is always an instruction after the pair
+        const save = list[index];
+        const load = list[index + 1];
+        if (isTemporaryPair(save, load) && countReferences(list, save.getAttribute('$operand')) === 2) {
+            removeInstruction(list, index + 1);
+            removeInstruction(list, index);
+            continue;
+        }
+        index++;
+    }
+};
+
+
+/*
+ * This function determines whether or not the specified instructions are a save of a
+ * temporary variable followed by an unlabeled load of the same variable.
+ */
+const isTemporaryPair = function(save, load) {
+    if (save.getAttribute('$operation').toInteger() !== types.SAVE) return false;
+    if (save.getAttribute('$modifier').toInteger() !== types.VARIABLE) return false;
+    if (load.getAttribute('$operation').toInteger() !== types.LOAD) return false;
+    if (load.getAttribute('$modifier').toInteger() !== types.VARIABLE) return false;
+    if (getLabel(load)) return false;
+    const symbol = save.getAttribute('$operand');
+    return symbol.toString().includes('-') && bali.areEqual(symbol, load.getAttribute('$operand'));
+};
+
+
+/*
+ * This function returns the number of load, save and drop instructions that refer to
+ * the specified variable.
+ */
+const countReferences = function(list, symbol) {
+    return list.filter(function(instruction) {
+        const operation = instruction.getAttribute('$operation').toInteger();
+        if (operation < types.LOAD || operation > types.DROP) return false;
+        return bali.areEqual(instruction.getAttribute('$operand'), symbol);
+    }).length;
+};
+
+
+/*
+ * This function returns a map from each instruction in the list that takes up an address
+ * in the bytecode to that address.
+ */
+const addressInstructions = function(list) {
+    const addresses = new Map();
+    var address = 1;  // cardinal based addressing
+    list.forEach(function(instruction) {
+        if (!isNote(instruction)) addresses.set(instruction, address++);
+    });
+    return addresses;
+};
+
+
+/*
+ * This function recalculates the addresses of all labels in the optimized instructions.
+ */
+const updateAddresses = function(method, list, current) {
+    const addresses = method.getAttribute('$addresses');
+    addresses.emptyCollection();
+    list.forEach(function(instruction, index) {
+        const label = getLabel(instruction);
+        if (label) {
+            const addressed = list[skipNotes(list, index)];
+            addresses.setAttribute(label, current.get(addressed));
+        }
+    });
+};
+
+
+/*
+ * This function remaps each entry in the statement source map to the address of the
+ * first remaining instruction at or after its original address.
+ */
+const updateStatements = function(method, original, current) {
+    const statements = method.getAttribute('$statements');
+    if (!statements) return;
+    const entries = statements.toArray().map(function(association) {
+        return { address: association.getKey().toInteger(), statement: association.getValue() };
+    });
+    const remaining = [];  // the original and current address of each remaining instruction
+    original.forEach(function(address, instruction) {
+        if (current.has(instruction)) remaining.push([address, current.get(instruction)]);
+    });
+    statements.emptyCollection();
+    var previous;
+    entries.forEach(function(entry) {
+        const pair = remaining.find(function(pair) { return pair[0] >= entry.address; });
+        if (!pair) return;  // the statement no longer has any instructions
+        statements.setAttribute(pair[1], entry.statement);
+    });
+    statements.toArray().forEach(function(association) {
+        const label = association.getValue().getAttribute('$label');
+        if (previous && bali.areEqual(label, previous)) statements.removeAttribute(association.getKey());
+        previous = label;
+    });
+};
+
+
+/*
+ * This function removes any variables that are no longer referenced by the optimized
+ * instructions.
+ */
+const updateVariables = function(method, list) {
+    const variables = method.getAttribute('$variables');
+    variables.toArray().forEach(function(symbol) {
+        if (countReferences(list, symbol) === 0) variables.removeItem(symbol);
+    });
+};
@@ -277,7 +277,9 @@ ParsingVisitor.prototype.visitCall = function(ctx) {
 //     'SEND' SYMBOL 'TO' 'COMPONENT' |
 //     'SEND' SYMBOL 'TO' 'COMPONENT' 'WITH' 'ARGUMENTS' |
 //     'SEND' SYMBOL 'TO' 'DOCUMENT' |
-//     'SEND' SYMBOL 'TO' 'DOCUMENT' 'WITH' 'ARGUMENTS'
+//     'SEND' SYMBOL 'TO' 'DOCUMENT' 'WITH' 'ARGUMENTS' |
+//     'SEND' SYMBOL 'TO' 'SUPER' |
+//     'SEND' SYMBOL 'TO' 'SUPER' 'WITH' 'ARGUMENTS'
 ParsingVisitor.prototype.visitSend = function(ctx) {
     const instruction = bali.catalog();
     instruction.setAttribute('$operation', types.SEND);
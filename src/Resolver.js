@@ -0,0 +1,175 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+'use strict';
+
+/**
+ * This module defines a class that resolves the types that a type definition depends on
+ * (its parent, libraries and interfaces, and theirs in turn) and caches their contracts so
+ * that each one is only retrieved from the document repository once.
+ */
+const moduleName = '/bali/compiler/Resolver';
+const bali = require('bali-component-framework').api();
+
+
+/**
+ * This constructor returns a resolver that retrieves the contracts for named types from a
+ * document repository and caches them. Since it supports the same 'retrieveContract(name)'
+ * function as the repository, it may be used anywhere the repository is used.
+ *
+ * An optional debug argument may be specified that controls the level of debugging that
+ * should be applied during execution. The allowed levels are as follows:
+ * <pre>
+ *   0: no debugging is applied (this is the default value and has the best performance)
+ *   1: log any exceptions to console.error before throwing them
+ *   2: perform argument validation checks on each call (poor performance)
+ *   3: log interesting arguments, states and results to console.log
+ * </pre>
+ *
+ * @param {DocumentRepository} repository The repository maintaining the type definition documents.
+ * @returns {Resolver} The new type resolver.
+ */
+function Resolver(repository, debug) {
+    this.debug = debug || 0;  // default is off
+    this.repository = repository;
+    this.contracts = {};  // the cached contracts (or undefined if missing) for each name
+    return this;
+}
+Resolver.prototype.constructor = Resolver;
+exports.Resolver = Resolver;
+
+
+// PUBLIC METHODS
+
+/**
+ * This method retrieves the contract for the named type from the cache, or from the
+ * repository if it has not been retrieved before. An exception is thrown if the named
+ * type does not exist in the repository.
+ *
+ * @param {String} name The name of the type (e.g. '/acme/types/Account/v1').
+ * @returns {Catalog} The contract containing the type definition.
+ */
+Resolver.prototype.retrieveContract = async function(name) {
+    const contract = await fetchContract(this, name);
+    if (!contract) throwMissing(this, '$retrieveContract', name);
+    return contract;
+};
+
+
+/**
+ * This method resolves every type that the specified type definition depends on, directly
+ * or indirectly, through its '$parent', '$libraries' and '$interfaces' attributes. It
+ * returns a catalog mapping the name of each of those types to a list of the names of the
+ * types that it depends on directly. The types are ordered so that each type follows all
+ * of the types that it depends on, which is the order in which they must be compiled. An
+ * exception is thrown if a type is missing from the repository or if the dependencies
+ * form a cycle.
+ *
+ * @param {Catalog} type The type definition whose dependencies are to be resolved.
+ * @returns {Catalog} The dependency graph for the type definition.
+ */
+Resolver.prototype.resolveType = async function(type) {
+    if (this.debug > 1) {
+        bali.component.validateArgument(moduleName, '$resolveType', '$type', type, [
+            '/bali/collections/Catalog'
+        ]);
+    }
+    const resolver = this;
+    const graph = bali.catalog();
+    const path = [];  // the names of the types that are currently being resolved
+    const resolve = async function(definition, referrer) {
+        const dependencies = dependenciesOf(definition);
+        for (var i = 0; i < dependencies.length; i++) {
+            const name = dependencies[i].name;
+            if (path.includes(name)) throwCycle(resolver, path.slice(path.indexOf(name)).concat(name));
+            if (graph.getAttribute(bali.component(name))) continue;  // already resolved
+            const contract = await fetchContract(resolver, name);
+            if (!contract) throwMissing(resolver, '$resolveType', name, referrer, dependencies[i].attribute);
+            path.push(name);
+            const names = await resolve(contract.getAttribute('$document'), name);
+            path.pop();
+            graph.setAttribute(bali.component(name), names);
+        }
+        return bali.list(dependencies.map(function(dependency) {
+            return bali.component(dependency.name);
+        }));
+    };
+    await resolve(type);
+    return graph;
+};
+
+
+// PRIVATE FUNCTIONS
+
+/*
+ * This function returns the name and referring attribute for each type that a type
+ * definition depends on directly.
+ */
+const dependenciesOf = function(type) {
+    const dependencies = [];
+    const parent = type.getAttribute('$parent');
+    if (parent && !bali.areEqual(parent.toLiteral(), bali.pattern.NONE)) {
+        dependencies.push({name: parent.toLiteral(), attribute: '$parent'});
+    }
+    ['$libraries', '$interfaces'].forEach(function(attribute) {
+        const names = type.getAttribute(attribute);
+        if (names) names.toArray().forEach(function(name) {
+            dependencies.push({name: name.toLiteral(), attribute: attribute});
+        });
+    });
+    return dependencies;
+};
+
+
+/*
+ * This function returns the contract for the named type, retrieving it from the repository
+ * the first time it is requested. It returns undefined if the type is missing.
+ */
+const fetchContract = async function(resolver, name) {
+    if (!(name in resolver.contracts)) {
+        resolver.contracts[name] = await resolver.repository.retrieveContract(name);
+    }
+    return resolver.contracts[name];
+};
+
+
+/*
+ * This function throws an exception naming a type that is missing from the repository and
+ * where it was referenced from if that is known.
+ */
+const throwMissing = function(resolver, procedure, name, referrer, attribute) {
+    const exception = bali.catalog({
+        $module: moduleName,
+        $procedure: procedure,
+        $exception: '$missingType',
+        $type: bali.component(name)
+    });
+    if (referrer) exception.setAttribute('$referrer', bali.component(referrer));
+    if (attribute) exception.setAttribute('$attribute', bali.component(attribute));
+    exception.setAttribute('$text', bali.text('The named type was not found in the repository.'));
+    const error = bali.exception(exception);
+    if (resolver.debug) console.error(error.toString());
+    throw error;
+};
+
+
+/*
+ * This function throws an exception describing a cycle in the dependencies between types.
+ */
+const throwCycle = function(resolver, names) {
+    const exception = bali.exception({
+        $module: moduleName,
+        $procedure: '$resolveType',
+        $exception: '$circularDependency',
+        $cycle: bali.list(names.map(function(name) { return bali.component(name); })),
+        $text: '"The types depend on each other in a cycle."'
+    });
+    if (resolver.debug) console.error(exception.toString());
+    throw exception;
+};
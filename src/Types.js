@@ -50,6 +50,16 @@ exports.TO_COMPONENT = 0;
 exports.TO_COMPONENT_WITH_ARGUMENTS = 1;
 exports.TO_DOCUMENT = 2;
 exports.TO_DOCUMENT_WITH_ARGUMENTS = 3;
+// the two bit modcode cannot hold these so they never appear in an encoded instruction,
+// they are encoded as TO COMPONENT (WITH ARGUMENTS) with the SUPER operand flag instead
+exports.TO_SUPER = 4;
+exports.TO_SUPER_WITH_ARGUMENTS = 5;
+
+exports.MAXIMUM_OPERAND = 0x07FF;  // fits in a single instruction
+exports.MAXIMUM_EXTENDED_OPERAND = 0x3FFFFF;  // requires an extension prefix instruction
+exports.SUPER = 0x200000;  // the operand flag marking a message sent to super (requires an extension prefix)
+exports.MAXIMUM_MESSAGE_OPERAND = 0x1FFFFF;  // the largest SEND operand since the SUPER flag takes the top bit
+exports.MAXIMUM_ARGUMENTS = 3;  // the most arguments a CALL instruction can pass directly
 
 
 // PUBLIC FUNCTIONS
@@ -185,5 +195,7 @@ const SEND_MODIFIERS = [
     'TO COMPONENT',
     'TO COMPONENT WITH ARGUMENTS',
     'TO DOCUMENT',
-    'TO DOCUMENT WITH ARGUMENTS'
+    'TO DOCUMENT WITH ARGUMENTS',
+    'TO SUPER',
+    'TO SUPER WITH ARGUMENTS'
 ];
@@ -0,0 +1,323 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+'use strict';
+
+/**
+ * This module defines a class that verifies the structural safety of the bytecode for
+ * assembled methods before it is stored or executed.
+ */
+const moduleName = '/bali/compiler/Verifier';
+const bali = require('bali-component-framework').api();
+const Decoder = require('./Decoder').Decoder;
+const types = require('./Types');
+
+
+/**
+ * This constructor returns a verifier that checks the bytecode for assembled methods.
+ *
+ * An optional debug argument may be specified that controls the level of debugging that
+ * should be applied during execution. The allowed levels are as follows:
+ * <pre>
+ *   0: no debugging is applied (this is the default value and has the best performance)
+ *   1: log any exceptions to console.error before throwing them
+ *   2: perform argument validation checks on each call (poor performance)
+ *   3: log interesting arguments, states and results to console.log
+ * </pre>
+ *
+ * @param {Intrinsics} intrinsics The registry of the intrinsic functions supported by the virtual machine.
+ * @returns {Verifier} The new bytecode verifier.
+ */
+function Verifier(intrinsics, debug) {
+    this.debug = debug || 0;  // default is off
+    this.intrinsics = intrinsics;
+    this.decoder = new Decoder(intrinsics, this.debug);
+    return this;
+}
+Verifier.prototype.constructor = Verifier;
+exports.Verifier = Verifier;
+
+
+// PUBLIC METHODS
+
+/**
+ * This method verifies the bytecode for each method in an assembled type. An exception
+ * describing the first problem that is found is thrown if any of the methods fail
+ * verification.
+ *
+ * @param {Catalog} type The assembled type to be verified.
+ */
+Verifier.prototype.verifyType = function(type) {
+    const methods = type.getAttribute('$methods');
+    if (!methods) return;
+    const iterator = methods.getIterator();
+    while (iterator.hasNext()) {
+        const association = iterator.getNext();
+        verifyBytecode(this, type, association.getKey(), association.getValue());
+    }
+};
+
+
+/**
+ * This method verifies the bytecode for an assembled method. The following checks are
+ * performed:
+ * <pre>
+ *   * each instruction is a valid instruction
+ *   * each jump and handler address is the address of an instruction in the method
+ *   * each operand refers to an existing literal, constant, argument, variable or message
+ *   * each intrinsic function is called with a valid number of arguments
+ *   * the depth of the component stack never goes negative and is the same on every
+ *     path leading to an instruction
+ * </pre>
+ * An exception describing the first problem that is found is thrown if the method fails
+ * verification.
+ *
+ * @param {Catalog} type The type context for the method being verified.
+ * @param {Catalog} method The assembled method to be verified.
+ */
+Verifier.prototype.verifyMethod = function(type, method) {
+    verifyBytecode(this, type, undefined, method);
+};
+
+
+// PRIVATE FUNCTIONS
+
+/*
+ * This function verifies the bytecode for the specified method.
+ */
+const verifyBytecode = function(verifier, type, symbol, method) {
+    const bytes = method.getAttribute('$bytecode').getValue();
+    const bytecode = verifier.decoder.bytesToBytecode(bytes);
+    const context = {
+        verifier: verifier,
+        symbol: symbol,
+        literals: sizeOf(type.getAttribute('$literals')),
+        constants: sizeOf(type.getAttribute('$constants')),
+        argumentz: sizeOf(method.getAttribute('$arguments')),
+        variables: sizeOf(method.getAttribute('$variables')),
+        messages: sizeOf(method.getAttribute('$messages')),
+        instructions: verifier.decoder.decodeBytecode(bytecode),
+        indices: {},  // maps the address of each instruction to its index
+        end: bytecode.length + 1  // the address just past the last instruction
+    };
+    context.instructions.forEach(function(instruction, index) {
+        context.indices[instruction.address] = index;
+    });
+    context.instructions.forEach(function(instruction) {
+        if (!verifier.decoder.instructionIsValid(instruction.instruction, instruction.extension)) {
+            throwException(context, '$invalidInstruction', instruction, 'The bytecode contains an invalid instruction.');
+        }
+        verifyOperand(context, instruction);
+    });
+    verifyStack(context);
+};
+
+
+/*
+ * This function returns the number of items in an optional collection.
+ */
+const sizeOf = function(collection) {
+    return collection ? collection.getSize() : 0;
+};
+
+
+/*
+ * This function verifies that the operand of an instruction refers to something that exists.
+ */
+const verifyOperand = function(context, instruction) {
+    const operand = instruction.operand;
+    switch (instruction.operation) {
+        case types.JUMP:
+            if (operand > 0) verifyAddress(context, instruction, true);
+            break;
+        case types.PUSH:
+            switch (instruction.modifier) {
+                case types.HANDLER:
+                    verifyAddress(context, instruction, false);
+                    break;
+                case types.LITERAL:
+                    verifyIndex(context, instruction, context.literals, 'literal');
+                    break;
+                case types.CONSTANT:
+                    verifyIndex(context, instruction, context.constants, 'constant');
+                    break;
+                case types.ARGUMENT:
+                    verifyIndex(context, instruction, context.argumentz, 'argument');
+                    break;
+            }
+            break;
+        case types.LOAD:
+        case types.SAVE:
+        case types.DROP:
+            verifyIndex(context, instruction, context.variables, 'variable');
+            break;
+        case types.CALL:
+            const intrinsics = context.verifier.intrinsics;
+            const signature = intrinsics.getSignature(intrinsics.getName(operand));
+            if (!signature) {
+                throwException(context, '$invalidOperand', instruction, 'The operand does not refer to an intrinsic function.');
+            }
+            // any arguments beyond the maximum that can be passed directly are packed into a list
+            const minimum = Math.min(signature.minimum, types.MAXIMUM_ARGUMENTS);
+            const maximum = Math.min(signature.maximum, types.MAXIMUM_ARGUMENTS);
+            if (instruction.modifier < minimum || instruction.modifier > maximum) {
+                throwException(context, '$argumentCount', instruction, 'The intrinsic function was called with the wrong number of arguments.', {
+                    $intrinsic: bali.component(signature.name),
+                    $expected: bali.range(minimum, '..', maximum),
+                    $actual: instruction.modifier
+                });
+            }
+            break;
+        case types.SEND:
+            verifyIndex(context, instruction, context.messages, 'message');
+            break;
+    }
+};
+
+
+/*
+ * This function verifies that the address operand of an instruction is the address of an
+ * instruction in the method. A jump may also target the end of the method.
+ */
+const verifyAddress = function(context, instruction, allowEnd) {
+    const address = instruction.operand;
+    if (context.indices[address] !== undefined) return;
+    if (allowEnd && address === context.end) return;
+    throwException(context, '$invalidAddress', instruction, 'The target address is not the address of an instruction.', {
+        $target: address
+    });
+};
+
+
+/*
+ * This function verifies that the index operand of an instruction is within the bounds of
+ * the corresponding collection.
+ */
+const verifyIndex = function(context, instruction, size, kind) {
+    const index = instruction.operand;
+    if (index > 0 && index <= size) return;
+    throwException(context, '$invalidOperand', instruction, 'The operand does not refer to an existing ' + kind + '.', {
+        $expected: bali.range(1, '..', size),
+        $actual: index
+    });
+};
+
+
+/*
+ * This function follows every path through the method verifying that the component stack
+ * never underflows and that its depth is the same on every path leading to an instruction.
+ * When an exception is handled the component stack is unwound to its depth when the handler
+ * was pushed and then the exception is pushed onto it.
+ */
+const verifyStack = function(context) {
+    const instructions = context.instructions;
+    if (!instructions.length) return;
+    const depths = [0];  // the depth of the component stack on entry to each instruction
+    const work = [0];
+    const merge = function(target, depth) {
+        const index = context.indices[target];
+        if (index === undefined) return;  // the end of the method
+        if (depths[index] === undefined) {
+            depths[index] = depth;
+            work.push(index);
+        } else if (depths[index] !== depth) {
+            throwException(context, '$inconsistentStack', instructions[index], 'The depth of the component stack differs between paths.', {
+                $expected: depths[index],
+                $actual: depth
+            });
+        }
+    };
+    while (work.length) {
+        const index = work.pop();
+        const instruction = instructions[index];
+        const effect = stackEffect(instruction);
+        var depth = depths[index];
+        if (depth < effect.pops) {
+            throwException(context, '$stackUnderflow', instruction, 'The instruction requires more components than are on the stack.', {
+                $expected: effect.pops,
+                $actual: depth
+            });
+        }
+        if (instruction.operation === types.PUSH && instruction.modifier === types.HANDLER) {
+            merge(instruction.operand, depth + 1);  // the exception is pushed onto the stack
+        }
+        depth += effect.pushes - effect.pops;
+        if (instruction.operation === types.JUMP && instruction.operand > 0) {
+            merge(instruction.operand, depth);
+        }
+        if (!isTerminal(instruction) && index + 1 < instructions.length) {
+            merge(instructions[index + 1].address, depth);
+        }
+    }
+};
+
+
+/*
+ * This function returns the number of components that an instruction pops off of and
+ * pushes onto the component stack.
+ */
+const stackEffect = function(instruction) {
+    const modifier = instruction.modifier;
+    switch (instruction.operation) {
+        case types.JUMP:
+            return {pops: modifier === types.ON_ANY ? 0 : 1, pushes: 0};
+        case types.PUSH:
+            return {pops: 0, pushes: modifier === types.HANDLER ? 0 : 1};
+        case types.PULL:
+            return {pops: modifier === types.HANDLER ? 0 : 1, pushes: 0};
+        case types.LOAD:
+            return {pops: 0, pushes: 1};
+        case types.SAVE:
+            return {pops: 1, pushes: 0};
+        case types.DROP:
+            return {pops: modifier === types.MESSAGE ? 1 : 0, pushes: 0};
+        case types.CALL:
+            return {pops: modifier, pushes: 1};
+        case types.SEND:
+            const withArguments = modifier === types.TO_COMPONENT_WITH_ARGUMENTS ||
+                modifier === types.TO_DOCUMENT_WITH_ARGUMENTS || modifier === types.TO_SUPER_WITH_ARGUMENTS;
+            const toSuper = modifier === types.TO_SUPER || modifier === types.TO_SUPER_WITH_ARGUMENTS;
+            return {pops: (withArguments ? 1 : 0) + (toSuper ? 0 : 1), pushes: 1};  // super needs no recipient
+    }
+};
+
+
+/*
+ * This function determines whether or not execution can never continue with the instruction
+ * that follows the specified instruction.
+ */
+const isTerminal = function(instruction) {
+    switch (instruction.operation) {
+        case types.JUMP:
+            return instruction.modifier === types.ON_ANY && instruction.operand > 0;
+        case types.PULL:
+            return instruction.modifier === types.RESULT || instruction.modifier === types.EXCEPTION;
+        default:
+            return false;
+    }
+};
+
+
+/*
+ * This function throws an exception describing why the bytecode failed verification.
+ */
+const throwException = function(context, name, instruction, text, attributes) {
+    const exception = bali.catalog({
+        $module: moduleName,
+        $procedure: '$verifyMethod',
+        $exception: name
+    });
+    if (context.symbol) exception.setAttribute('$method', context.symbol);
+    exception.setAttribute('$address', instruction.address);
+    if (attributes) exception.addItems(bali.catalog(attributes));
+    exception.setAttribute('$text', bali.text(text));
+    const error = bali.exception(exception);
+    if (context.verifier.debug) console.error(error.toString());
+    throw error;
+};
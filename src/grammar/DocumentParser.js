@@ -8,7 +8,7 @@ var grammarFileName = "Document.g4";
 
 
 var serializedATN = ["\u0003\u608b\ua72a\u8133\ub9ed\u417c\u3be7\u7786\u5964",
-    "\u0003(\u0088\u0004\u0002\t\u0002\u0004\u0003\t\u0003\u0004\u0004\t",
+    "\u0003)\u0088\u0004\u0002\t\u0002\u0004\u0003\t\u0003\u0004\u0004\t",
     "\u0004\u0004\u0005\t\u0005\u0004\u0006\t\u0006\u0004\u0007\t\u0007\u0004",
     "\b\t\b\u0004\t\t\t\u0004\n\t\n\u0004\u000b\t\u000b\u0004\f\t\f\u0004",
     "\r\t\r\u0004\u000e\t\u000e\u0004\u000f\t\u000f\u0003\u0002\u0007\u0002",
@@ -30,57 +30,57 @@ var serializedATN = ["\u0003\u608b\ua72a\u8133\ub9ed\u417c\u3be7\u7786\u5964",
     "\u000f\u0086\n\u000f\u0003\u000f\u0002\u0002\u0010\u0002\u0004\u0006",
     "\b\n\f\u000e\u0010\u0012\u0014\u0016\u0018\u001a\u001c\u0002\u0006\u0003",
     "\u0002\n\f\u0004\u0002\u000e\u000e\u0013\u0015\u0003\u0002\u0017\u001a",
-    "\u0004\u0002\u0013\u0013\u0018\u0018\u0002\u008e\u0002!\u0003\u0002",
+    "\u0005\u0002\u0013\u0013\u0018\u0018\"\"\u0002\u008e\u0002!\u0003\u0002",
     "\u0002\u0002\u00045\u0003\u0002\u0002\u0002\u00069\u0003\u0002\u0002",
     "\u0002\b=\u0003\u0002\u0002\u0002\nJ\u0003\u0002\u0002\u0002\fL\u0003",
     "\u0002\u0002\u0002\u000eO\u0003\u0002\u0002\u0002\u0010Z\u0003\u0002",
     "\u0002\u0002\u0012e\u0003\u0002\u0002\u0002\u0014h\u0003\u0002\u0002",
     "\u0002\u0016l\u0003\u0002\u0002\u0002\u0018p\u0003\u0002\u0002\u0002",
     "\u001at\u0003\u0002\u0002\u0002\u001c\u007f\u0003\u0002\u0002\u0002",
-    "\u001e \u0007&\u0002\u0002\u001f\u001e\u0003\u0002\u0002\u0002 #\u0003",
+    "\u001e \u0007\'\u0002\u0002\u001f\u001e\u0003\u0002\u0002\u0002 #\u0003",
     "\u0002\u0002\u0002!\u001f\u0003\u0002\u0002\u0002!\"\u0003\u0002\u0002",
     "\u0002\"$\u0003\u0002\u0002\u0002#!\u0003\u0002\u0002\u0002$(\u0005",
-    "\u0004\u0003\u0002%\'\u0007&\u0002\u0002&%\u0003\u0002\u0002\u0002\'",
-    "*\u0003\u0002\u0002\u0002(&\u0003\u0002\u0002\u0002()\u0003\u0002\u0002",
-    "\u0002)+\u0003\u0002\u0002\u0002*(\u0003\u0002\u0002\u0002+,\u0007\u0002",
-    "\u0002\u0003,\u0003\u0003\u0002\u0002\u0002-/\u0005\u0006\u0004\u0002",
-    ".0\u0007&\u0002\u0002/.\u0003\u0002\u0002\u000201\u0003\u0002\u0002",
-    "\u00021/\u0003\u0002\u0002\u000212\u0003\u0002\u0002\u000224\u0003\u0002",
-    "\u0002\u00023-\u0003\u0002\u0002\u000247\u0003\u0002\u0002\u000253\u0003",
-    "\u0002\u0002\u000256\u0003\u0002\u0002\u00026\u0005\u0003\u0002\u0002",
-    "\u000275\u0003\u0002\u0002\u00028:\u0005\b\u0005\u000298\u0003\u0002",
-    "\u0002\u00029:\u0003\u0002\u0002\u0002:;\u0003\u0002\u0002\u0002;<\u0005",
-    "\n\u0006\u0002<\u0007\u0003\u0002\u0002\u0002=>\u0007\"\u0002\u0002",
-    ">?\u0007\u0003\u0002\u0002?@\u0007&\u0002\u0002@\t\u0003\u0002\u0002",
-    "\u0002AK\u0005\f\u0007\u0002BK\u0005\u000e\b\u0002CK\u0005\u0010\t\u0002",
-    "DK\u0005\u0012\n\u0002EK\u0005\u0014\u000b\u0002FK\u0005\u0016\f\u0002",
-    "GK\u0005\u0018\r\u0002HK\u0005\u001a\u000e\u0002IK\u0005\u001c\u000f",
-    "\u0002JA\u0003\u0002\u0002\u0002JB\u0003\u0002\u0002\u0002JC\u0003\u0002",
-    "\u0002\u0002JD\u0003\u0002\u0002\u0002JE\u0003\u0002\u0002\u0002JF\u0003",
-    "\u0002\u0002\u0002JG\u0003\u0002\u0002\u0002JH\u0003\u0002\u0002\u0002",
-    "JI\u0003\u0002\u0002\u0002K\u000b\u0003\u0002\u0002\u0002LM\u0007\u0004",
-    "\u0002\u0002MN\u0007(\u0002\u0002N\r\u0003\u0002\u0002\u0002OP\u0007",
-    "\u0005\u0002\u0002PX\u0007\u0006\u0002\u0002QR\u0007\u0007\u0002\u0002",
-    "RY\u0007\b\u0002\u0002SV\u0007\"\u0002\u0002TU\u0007\t\u0002\u0002U",
-    "W\t\u0002\u0002\u0002VT\u0003\u0002\u0002\u0002VW\u0003\u0002\u0002",
+    "\u0004\u0003\u0002%\'\u0007\'\u0002\u0002&%\u0003\u0002\u0002\u0002",
+    "\'*\u0003\u0002\u0002\u0002(&\u0003\u0002\u0002\u0002()\u0003\u0002",
+    "\u0002\u0002)+\u0003\u0002\u0002\u0002*(\u0003\u0002\u0002\u0002+,\u0007",
+    "\u0002\u0002\u0003,\u0003\u0003\u0002\u0002\u0002-/\u0005\u0006\u0004",
+    "\u0002.0\u0007\'\u0002\u0002/.\u0003\u0002\u0002\u000201\u0003\u0002",
+    "\u0002\u00021/\u0003\u0002\u0002\u000212\u0003\u0002\u0002\u000224\u0003",
+    "\u0002\u0002\u00023-\u0003\u0002\u0002\u000247\u0003\u0002\u0002\u0002",
+    "53\u0003\u0002\u0002\u000256\u0003\u0002\u0002\u00026\u0005\u0003\u0002",
+    "\u0002\u000275\u0003\u0002\u0002\u00028:\u0005\b\u0005\u000298\u0003",
+    "\u0002\u0002\u00029:\u0003\u0002\u0002\u0002:;\u0003\u0002\u0002\u0002",
+    ";<\u0005\n\u0006\u0002<\u0007\u0003\u0002\u0002\u0002=>\u0007#\u0002",
+    "\u0002>?\u0007\u0003\u0002\u0002?@\u0007\'\u0002\u0002@\t\u0003\u0002",
+    "\u0002\u0002AK\u0005\f\u0007\u0002BK\u0005\u000e\b\u0002CK\u0005\u0010",
+    "\t\u0002DK\u0005\u0012\n\u0002EK\u0005\u0014\u000b\u0002FK\u0005\u0016",
+    "\f\u0002GK\u0005\u0018\r\u0002HK\u0005\u001a\u000e\u0002IK\u0005\u001c",
+    "\u000f\u0002JA\u0003\u0002\u0002\u0002JB\u0003\u0002\u0002\u0002JC\u0003",
+    "\u0002\u0002\u0002JD\u0003\u0002\u0002\u0002JE\u0003\u0002\u0002\u0002",
+    "JF\u0003\u0002\u0002\u0002JG\u0003\u0002\u0002\u0002JH\u0003\u0002\u0002",
+    "\u0002JI\u0003\u0002\u0002\u0002K\u000b\u0003\u0002\u0002\u0002LM\u0007",
+    "\u0004\u0002\u0002MN\u0007)\u0002\u0002N\r\u0003\u0002\u0002\u0002O",
+    "P\u0007\u0005\u0002\u0002PX\u0007\u0006\u0002\u0002QR\u0007\u0007\u0002",
+    "\u0002RY\u0007\b\u0002\u0002SV\u0007#\u0002\u0002TU\u0007\t\u0002\u0002",
+    "UW\t\u0002\u0002\u0002VT\u0003\u0002\u0002\u0002VW\u0003\u0002\u0002",
     "\u0002WY\u0003\u0002\u0002\u0002XQ\u0003\u0002\u0002\u0002XS\u0003\u0002",
     "\u0002\u0002Y\u000f\u0003\u0002\u0002\u0002Zc\u0007\r\u0002\u0002[\\",
-    "\u0007\u000e\u0002\u0002\\d\u0007\"\u0002\u0002]^\u0007\u000f\u0002",
-    "\u0002^d\u0007$\u0002\u0002_`\u0007\u0010\u0002\u0002`d\u0007%\u0002",
-    "\u0002ab\u0007\u0011\u0002\u0002bd\u0007%\u0002\u0002c[\u0003\u0002",
-    "\u0002\u0002c]\u0003\u0002\u0002\u0002c_\u0003\u0002\u0002\u0002ca\u0003",
-    "\u0002\u0002\u0002d\u0011\u0003\u0002\u0002\u0002ef\u0007\u0012\u0002",
-    "\u0002fg\t\u0003\u0002\u0002g\u0013\u0003\u0002\u0002\u0002hi\u0007",
-    "\u0016\u0002\u0002ij\t\u0004\u0002\u0002jk\u0007%\u0002\u0002k\u0015",
-    "\u0003\u0002\u0002\u0002lm\u0007\u001b\u0002\u0002mn\t\u0004\u0002\u0002",
-    "no\u0007%\u0002\u0002o\u0017\u0003\u0002\u0002\u0002pq\u0007\u001c\u0002",
-    "\u0002qr\t\u0004\u0002\u0002rs\u0007%\u0002\u0002s\u0019\u0003\u0002",
-    "\u0002\u0002tu\u0007\u001d\u0002\u0002u}\u0007%\u0002\u0002v{\u0007",
+    "\u0007\u000e\u0002\u0002\\d\u0007#\u0002\u0002]^\u0007\u000f\u0002\u0002",
+    "^d\u0007%\u0002\u0002_`\u0007\u0010\u0002\u0002`d\u0007&\u0002\u0002",
+    "ab\u0007\u0011\u0002\u0002bd\u0007&\u0002\u0002c[\u0003\u0002\u0002",
+    "\u0002c]\u0003\u0002\u0002\u0002c_\u0003\u0002\u0002\u0002ca\u0003\u0002",
+    "\u0002\u0002d\u0011\u0003\u0002\u0002\u0002ef\u0007\u0012\u0002\u0002",
+    "fg\t\u0003\u0002\u0002g\u0013\u0003\u0002\u0002\u0002hi\u0007\u0016",
+    "\u0002\u0002ij\t\u0004\u0002\u0002jk\u0007&\u0002\u0002k\u0015\u0003",
+    "\u0002\u0002\u0002lm\u0007\u001b\u0002\u0002mn\t\u0004\u0002\u0002n",
+    "o\u0007&\u0002\u0002o\u0017\u0003\u0002\u0002\u0002pq\u0007\u001c\u0002",
+    "\u0002qr\t\u0004\u0002\u0002rs\u0007&\u0002\u0002s\u0019\u0003\u0002",
+    "\u0002\u0002tu\u0007\u001d\u0002\u0002u}\u0007&\u0002\u0002v{\u0007",
     "\u001e\u0002\u0002wx\u0007\u001f\u0002\u0002x|\u0007\u0011\u0002\u0002",
-    "yz\u0007#\u0002\u0002z|\u0007 \u0002\u0002{w\u0003\u0002\u0002\u0002",
+    "yz\u0007$\u0002\u0002z|\u0007 \u0002\u0002{w\u0003\u0002\u0002\u0002",
     "{y\u0003\u0002\u0002\u0002|~\u0003\u0002\u0002\u0002}v\u0003\u0002\u0002",
     "\u0002}~\u0003\u0002\u0002\u0002~\u001b\u0003\u0002\u0002\u0002\u007f",
-    "\u0080\u0007!\u0002\u0002\u0080\u0081\u0007%\u0002\u0002\u0081\u0082",
+    "\u0080\u0007!\u0002\u0002\u0080\u0081\u0007&\u0002\u0002\u0081\u0082",
     "\u0007\u0006\u0002\u0002\u0082\u0085\t\u0005\u0002\u0002\u0083\u0084",
     "\u0007\u001e\u0002\u0002\u0084\u0086\u0007 \u0002\u0002\u0085\u0083",
     "\u0003\u0002\u0002\u0002\u0085\u0086\u0003\u0002\u0002\u0002\u0086\u001d",
@@ -99,13 +99,13 @@ var literalNames = [ null, "':'", "'NOTE'", "'JUMP'", "'TO'", "'NEXT'",
                      "'PULL'", "'COMPONENT'", "'RESULT'", "'EXCEPTION'", 
                      "'LOAD'", "'VARIABLE'", "'DOCUMENT'", "'CONTRACT'", 
                      "'MESSAGE'", "'SAVE'", "'DROP'", "'CALL'", "'WITH'", 
-                     "'1'", "'ARGUMENTS'", "'SEND'" ];
+                     "'1'", "'ARGUMENTS'", "'SEND'", "'SUPER'" ];
 
 var symbolicNames = [ null, null, null, null, null, null, null, null, null, 
                       null, null, null, null, null, null, null, null, null, 
                       null, null, null, null, null, null, null, null, null, 
-                      null, null, null, null, null, "LABEL", "NUMBER", "LITERAL", 
-                      "SYMBOL", "EOL", "SPACE", "COMMENT" ];
+                      null, null, null, null, null, null, "LABEL", "NUMBER", 
+                      "LITERAL", "SYMBOL", "EOL", "SPACE", "COMMENT" ];
 
 var ruleNames =  [ "document", "instructions", "instruction", "label", "action", 
                    "note", "jump", "push", "pull", "load", "save", "drop", 
@@ -161,13 +161,14 @@ DocumentParser.T__27 = 28;
 DocumentParser.T__28 = 29;
 DocumentParser.T__29 = 30;
 DocumentParser.T__30 = 31;
-DocumentParser.LABEL = 32;
-DocumentParser.NUMBER = 33;
-DocumentParser.LITERAL = 34;
-DocumentParser.SYMBOL = 35;
-DocumentParser.EOL = 36;
-DocumentParser.SPACE = 37;
-DocumentParser.COMMENT = 38;
+DocumentParser.T__31 = 32;
+DocumentParser.LABEL = 33;
+DocumentParser.NUMBER = 34;
+DocumentParser.LITERAL = 35;
+DocumentParser.SYMBOL = 36;
+DocumentParser.EOL = 37;
+DocumentParser.SPACE = 38;
+DocumentParser.COMMENT = 39;
 
 DocumentParser.RULE_document = 0;
 DocumentParser.RULE_instructions = 1;
@@ -1468,7 +1469,7 @@ DocumentParser.prototype.send = function() {
         this.match(DocumentParser.T__3);
         this.state = 128;
         _la = this._input.LA(1);
-        if(!(_la===DocumentParser.T__16 || _la===DocumentParser.T__21)) {
+        if(!(((((_la - 17)) & ~0x1f) == 0 && ((1 << (_la - 17)) & ((1 << (DocumentParser.T__16 - 17)) | (1 << (DocumentParser.T__21 - 17)) | (1 << (DocumentParser.T__31 - 17)))) !== 0))) {
         this._errHandler.recoverInline(this);
         }
         else {
@@ -107,6 +107,9 @@ call:
 // executing it using the target component and array of arguments.  When the
 // new procedure context completes its execution, the resulting value replaces
 // the component and array of arguments that were on the top of the component
-// stack.
+// stack. If the recipient is super, no component is placed on the component
+// stack. Instead, the procedure associated with the message by the nearest
+// ancestor of the type that defines the current procedure is executed using
+// the target component of the current procedure context.
 send:
-    'SEND' SYMBOL 'TO' ('COMPONENT' | 'DOCUMENT') ('WITH' 'ARGUMENTS')?;
+    'SEND' SYMBOL 'TO' ('COMPONENT' | 'DOCUMENT' | 'SUPER') ('WITH' 'ARGUMENTS')?;
@@ -0,0 +1,76 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+
+const debug = 0;
+const mocha = require('mocha');
+const expect = require('chai').expect;
+const bali = require('bali-component-framework').api(debug);
+const compiler = require('../index').api(debug);
+
+/*
+ * This function returns a document repository that retrieves the contract for each of the
+ * specified type documents. Any changes to the documents are seen by later retrievals.
+ */
+const documentRepository = function(documents) {
+    return {
+        retrieveContract: async function(name) {
+            const document = documents[name.toString()];
+            if (document) return bali.catalog({$document: document});
+        }
+    };
+};
+
+/*
+ * A repository containing a document type with an attribute whose type is an enumeration.
+ */
+const repository = documentRepository({
+    '/acme/types/Order/v1': bali.component('[$parent: none, $attributes: [$status: [$type: /acme/types/Status/v1], $quantity: [$type: /nebula/elements/Number/v1]]]'),
+    '/acme/types/Status/v1': bali.component('[$parent: none, $enumeration: [$pending, $shipped, $delivered]]')
+});
+
+
+describe('Bali Nebula™ Type Compiler', function() {
+
+    describe('Test the document analyzer.', function() {
+
+        it('should accept a symbol attribute that is one of its enumerated values', async function() {
+            const order = bali.component('[$status: $shipped, $quantity: 5]($type: /acme/types/Order/v1)');
+            await compiler.analyzeDocument(repository, order);
+        });
+
+        it('should reject a symbol attribute that is not one of its enumerated values', async function() {
+            const order = bali.component('[$status: $lost, $quantity: 5]($type: /acme/types/Order/v1)');
+            try {
+                await compiler.analyzeDocument(repository, order);
+                expect.fail('The analyzer should have thrown an exception.');
+            } catch (exception) {
+                expect(exception.getAttribute('$exception').toString()).to.equal('$invalidEnumeration');
+                expect(exception.getAttribute('$attribute').toString()).to.equal('$status');
+                expect(exception.getAttribute('$actual').toString()).to.equal('$lost');
+                expect(exception.getAttribute('$expected').toArray().map(function(value) {
+                    return value.toString();
+                })).to.deep.equal(['$pending', '$shipped', '$delivered']);
+            }
+        });
+
+        it('should reject an attribute whose type does not match', async function() {
+            const order = bali.component('[$status: $pending, $quantity: "five"]($type: /acme/types/Order/v1)');
+            try {
+                await compiler.analyzeDocument(repository, order);
+                expect.fail('The analyzer should have thrown an exception.');
+            } catch (exception) {
+                expect(exception.getAttribute('$exception').toString()).to.equal('$incorrectType');
+                expect(exception.getAttribute('$attribute').toString()).to.equal('$quantity');
+            }
+        });
+
+    });
+
+});
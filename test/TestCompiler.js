@@ -22,6 +22,19 @@ const cached = require('bali-document-repository').cached(local);
 const repository = require('bali-document-repository').repository(notary, cached);
 const compiler = require('../index').api(debug);
 
+/*
+ * This function returns a document repository that retrieves the contract for each of the
+ * specified type documents. Any changes to the documents are seen by later retrievals.
+ */
+const documentRepository = function(documents) {
+    return {
+        retrieveContract: async function(name) {
+            const document = documents[name.toString()];
+            if (document) return bali.catalog({$document: document});
+        }
+    };
+};
+
 
 describe('Bali Nebula™ Type Compiler', function() {
 
@@ -57,6 +70,352 @@ describe('Bali Nebula™ Type Compiler', function() {
             }
         });
 
+        it('should collect warnings for each method', async function() {
+            const source = await pfs.readFile('test/warnings/warnings.bali', 'utf8');
+            const type = bali.component(source);
+            const warnings = await compiler.compileType(repository, type);
+            expect(warnings.getAttribute('$clean').isEmpty()).to.equal(true);
+            const actual = warnings.getAttribute('$test').toArray().map(function(warning) {
+                return warning.getAttribute('$warning').toString() + ' ' +
+                    (warning.getAttribute('$variable') || warning.getAttribute('$source')).toString();
+            });
+            expect(actual).to.deep.equal([
+                '$readBeforeAssignment $early',
+                '$shadowedArgument $count',
+                '$unusedVariable $ignored',
+                '$unusedVariable $never',
+                '$unusedParameter $unused',
+                '$unreachableCode "$never := 5"'
+            ]);
+        });
+
+        it('should report all compilation errors at once', async function() {
+            const source = await pfs.readFile('test/errors/errors.bali', 'utf8');
+            const type = bali.component(source);
+            try {
+                await compiler.compileType(repository, type, {accumulateErrors: true});
+                expect.fail('The compiler should have thrown an exception.');
+            } catch (exception) {
+                expect(exception.getAttribute('$exception').toString()).to.equal('$compilationErrors');
+                const actual = exception.getAttribute('$errors').toArray().map(function(error) {
+                    const statement = error.getAttribute('$statement');
+                    return error.getAttribute('$method').toString() + ' ' +
+                        (statement ? statement.getValue() + ' ' : '') +
+                        error.getAttribute('$exception').toString();
+                });
+                expect(actual).to.deep.equal([
+                    '$breaking 2.BreakStatement $noEnclosingLoop',
+                    '$breaking 3.1.1.ContinueStatement $noEnclosingLoop',
+                    '$calling 1.ReturnStatement $argumentCount',
+                    '$misusing 1.EvaluateStatement $argumentCount',
+                    '$misusing 2.ReturnStatement $unknownFunction',
+                    '$missing $unknownMethod'
+                ]);
+            }
+        });
+
+        it('should report type mismatches as compilation errors', async function() {
+            const source = await pfs.readFile('test/types/types.bali', 'utf8');
+            const type = bali.component(source);
+            try {
+                await compiler.compileType(repository, type, {accumulateErrors: true});
+                expect.fail('The compiler should have thrown an exception.');
+            } catch (exception) {
+                expect(exception.getAttribute('$exception').toString()).to.equal('$compilationErrors');
+                const actual = exception.getAttribute('$errors').toArray().map(function(error) {
+                    return error.getAttribute('$method').toString() + ' ' +
+                        error.getAttribute('$statement').getValue() + ' ' +
+                        error.getAttribute('$exception').toString();
+                });
+                expect(actual).to.deep.equal([
+                    '$factorial 1.ReturnStatement $typeMismatch',
+                    '$condition 2.IfStatement $typeMismatch',
+                    '$passing 1.ReturnStatement $typeMismatch',
+                    '$assigning 1.EvaluateStatement $typeMismatch',
+                    '$compound 2.EvaluateStatement $typeMismatch',
+                    '$unknown 1.ReturnStatement $unknownMessage',
+                    '$counting 1.ReturnStatement $argumentCount',
+                    '$mixing 1.ReturnStatement $typeMismatch'
+                ]);
+            }
+        });
+
+        it('should resolve messages sent to arguments with declared types', async function() {
+            const documents = {
+                '/acme/types/Account/v1': bali.component('[$parent: /acme/types/Entity/v1, $operations: [$deposit: [$parameters: [$amount: [$type: /nebula/elements/Number/v1]]]]]'),
+                '/acme/types/Entity/v1': bali.component('[$parent: none, $operations: [$getId: [:]]]')
+            };
+            const resolver = documentRepository(documents);
+            const source = await pfs.readFile('test/types/messages.bali', 'utf8');
+            const type = bali.component(source);
+            try {
+                await compiler.compileType(resolver, type, {accumulateErrors: true});
+                expect.fail('The compiler should have thrown an exception.');
+            } catch (exception) {
+                const actual = exception.getAttribute('$errors').toArray().map(function(error) {
+                    return error.getAttribute('$statement').getValue() + ' ' + error.getAttribute('$exception').toString();
+                });
+                expect(actual).to.deep.equal([
+                    '2.EvaluateStatement $typeMismatch',
+                    '3.EvaluateStatement $unknownMessage',
+                    '4.EvaluateStatement $argumentCount'
+                ]);
+            }
+        });
+
+        it('should only leave the messages of missing types unresolved', async function() {
+            const source = await pfs.readFile('test/types/messages.bali', 'utf8');
+            await compiler.compileType(documentRepository({}), bali.component(source));
+            try {
+                await compiler.compileType({
+                    retrieveContract: async function(name) {
+                        throw bali.exception({
+                            $module: '/acme/repositories/Remote',
+                            $procedure: '$retrieveContract',
+                            $exception: '$unavailable',
+                            $text: '"The repository is not available."'
+                        });
+                    }
+                }, bali.component(source));
+                expect.fail('The compiler should have thrown an exception.');
+            } catch (exception) {
+                expect(exception.getAttribute('$exception').toString()).to.equal('$unavailable');
+            }
+        });
+
+        it('should only recompile the methods that have changed', async function() {
+            const source = await pfs.readFile('test/interpreter/procedures.bali', 'utf8');
+            const type = bali.component(source);
+            await compiler.compileType(repository, type, {incremental: true});
+            const methods = type.getAttribute('$methods');
+            const bytecodes = {};
+            methods.toArray().forEach(function(association) {
+                bytecodes[association.getKey().toString()] = association.getValue().getAttribute('$bytecode').toString();
+            });
+            const literals = type.getAttribute('$literals').toArray().map(function(literal) {
+                return literal.toString();
+            });
+
+            // change a single method so that it needs a new literal
+            const changed = methods.getAttribute('$unreachable');
+            changed.setAttribute('$procedure', bali.component('{ return "changed" }'));
+            const warnings = await compiler.compileType(repository, type, {incremental: true});
+            methods.toArray().forEach(function(association) {
+                const symbol = association.getKey().toString();
+                const bytecode = association.getValue().getAttribute('$bytecode').toString();
+                if (symbol === '$unreachable') {
+                    expect(bytecode).to.not.equal(bytecodes[symbol]);
+                } else {
+                    expect(bytecode).to.equal(bytecodes[symbol]);
+                }
+            });
+            const updated = type.getAttribute('$literals').toArray().map(function(literal) {
+                return literal.toString();
+            });
+            expect(updated.slice(0, literals.length)).to.deep.equal(literals);
+            expect(updated[updated.length - 1]).to.equal('"changed"');
+            expect(warnings.getAttribute('$unreachable').isEmpty()).to.equal(true);
+
+            // the unchanged and changed methods still execute correctly
+            const total = await compiler.executeMethod({}, type, methods.getAttribute('$total'), undefined, bali.list([
+                bali.list([1, 2, 3])
+            ]));
+            expect(total.toString()).to.equal('6');
+            const result = await compiler.executeMethod({}, type, changed);
+            expect(result.toString()).to.equal('"changed"');
+        });
+
+        it('should recompile the methods whose ancestry, argument types or extensions have changed', async function() {
+            const documents = {
+                '/acme/types/Entity/v1': bali.component('[$parent: none, $operations: [$getId: [:]], $methods: [$getId: [$procedure: {return 1}]]]'),
+                '/acme/types/Customer/v1': bali.component('[$parent: none, $operations: [$getName: [:]]]')
+            };
+            const resolving = documentRepository(documents);
+            const type = bali.component('[$parent: /acme/types/Entity/v1, $functions: [$describe: [$parameters: [$customer: [$type: /acme/types/Customer/v1]]]], $methods: [$describe: [$procedure: {return customer.getName()}]]]');
+            const method = type.getAttribute('$methods').getAttribute('$describe');
+            const fingerprints = [];
+            const fingerprint = async function() {
+                await compiler.compileType(resolving, type, {incremental: true});
+                fingerprints.push(method.getAttribute('$fingerprint').toString());
+            };
+            await fingerprint();
+
+            // an ancestor implements another method
+            documents['/acme/types/Entity/v1'] = bali.component('[$parent: none, $operations: [$getId: [:]], $methods: [$getId: [$procedure: {return 1}], $describe: [$procedure: {return 2}]]]');
+            await fingerprint();
+
+            // the type of an argument supports a different message signature
+            documents['/acme/types/Customer/v1'] = bali.component('[$parent: none, $operations: [$getName: [$parameters: [$format: [$type: /nebula/strings/Text/v1]]]]]');
+            await fingerprint();
+
+            // an extension is registered
+            compiler.registerExtensions('/acme/fingerprints/v1', {
+                $fingerprint: {
+                    minimum: 0,
+                    implementation: function() {
+                        return bali.number(0);
+                    }
+                }
+            });
+            try {
+                await fingerprint();
+            } finally {
+                compiler.unregisterExtensions('/acme/fingerprints/v1');
+            }
+            await fingerprint();
+
+            expect(new Set(fingerprints.slice(0, 4)).size).to.equal(4);
+            expect(fingerprints[4]).to.equal(fingerprints[2]);
+        });
+
+        it('should rebuild the extensions and keep the literals in a list when compiling incrementally', async function() {
+            const extension = function(symbol) {
+                const definitions = {};
+                definitions[symbol] = {
+                    minimum: 0,
+                    implementation: function() {
+                        return bali.number(0);
+                    }
+                };
+                return definitions;
+            };
+            const names = function(type) {
+                return type.getAttribute('$extensions').getKeys().toArray().map(function(name) {
+                    return name.toString();
+                });
+            };
+            compiler.registerExtensions('/acme/first/v1', extension('$beta'));
+            compiler.registerExtensions('/acme/second/v1', extension('$gamma'));
+            try {
+                const type = bali.component('[$parent: none, $functions: [$one: [:], $two: [:]], $methods: [$one: [$procedure: {return beta()}], $two: [$procedure: {return gamma()}]]]');
+                await compiler.compileType(repository, type);
+                expect(type.getAttribute('$literals').isType('/bali/collections/List')).to.equal(true);
+                expect(names(type)).to.deep.equal(['/acme/first/v1', '/acme/second/v1']);
+
+                // a method stops calling an extension
+                const method = type.getAttribute('$methods').getAttribute('$two');
+                method.setAttribute('$procedure', bali.component('{ return "two" }'));
+                await compiler.compileType(repository, type, {incremental: true});
+                expect(type.getAttribute('$literals').isType('/bali/collections/List')).to.equal(true);
+                expect(names(type)).to.deep.equal(['/acme/first/v1']);
+            } finally {
+                compiler.unregisterExtensions('/acme/first/v1');
+                compiler.unregisterExtensions('/acme/second/v1');
+            }
+        });
+
+        it('should resolve the ancestry of a type only once', async function() {
+            const documents = {
+                '/acme/types/Account/v1': bali.component('[$parent: /acme/types/Entity/v1, $interfaces: [/acme/types/Auditable/v1], $operations: [$deposit: [:]]]'),
+                '/acme/types/Entity/v1': bali.component('[$parent: none, $interfaces: [/acme/types/Auditable/v1], $operations: [$getId: [:]]]'),
+                '/acme/types/Auditable/v1': bali.component('[$parent: none, $operations: [$audit: [:]]]')
+            };
+            const contracts = documentRepository(documents);
+            const retrieved = [];
+            const counting = {
+                retrieveContract: async function(name) {
+                    retrieved.push(name);
+                    return await contracts.retrieveContract(name);
+                }
+            };
+            const type = bali.component('[$parent: /acme/types/Account/v1, $methods: [$audit: [$procedure: {return 1}], $deposit: [$procedure: {return 2}], $getId: [$procedure: {return 3}]]]');
+            await compiler.compileType(counting, type);
+            expect(retrieved).to.deep.equal(['/acme/types/Account/v1', '/acme/types/Entity/v1', '/acme/types/Auditable/v1']);
+
+            const graph = await compiler.resolveType(counting, type);
+            expect(graph.getKeys().toArray().map(function(name) { return name.toString(); })).to.deep.equal([
+                '/acme/types/Auditable/v1', '/acme/types/Entity/v1', '/acme/types/Account/v1'
+            ]);
+            expect(graph.getAttribute(bali.component('/acme/types/Account/v1')).toArray().map(function(name) {
+                return name.toString();
+            })).to.deep.equal(['/acme/types/Entity/v1', '/acme/types/Auditable/v1']);
+        });
+
+        it('should name a missing type in the ancestry', async function() {
+            const empty = documentRepository({});
+            const type = bali.component('[$parent: /acme/types/Missing/v1, $methods: [$foo: [$procedure: {return 1}]]]');
+            try {
+                await compiler.compileType(empty, type);
+                expect.fail('The compiler should have thrown an exception.');
+            } catch (exception) {
+                expect(exception.getAttribute('$exception').toString()).to.equal('$missingType');
+                expect(exception.getAttribute('$type').toString()).to.equal('/acme/types/Missing/v1');
+                expect(exception.getAttribute('$attribute').toString()).to.equal('$parent');
+            }
+        });
+
+        it('should detect a cycle in the ancestry of a type', async function() {
+            const documents = {
+                '/acme/types/First/v1': bali.component('[$parent: /acme/types/Second/v1]'),
+                '/acme/types/Second/v1': bali.component('[$parent: none, $interfaces: [/acme/types/First/v1]]')
+            };
+            const cyclic = documentRepository(documents);
+            const type = bali.component('[$parent: /acme/types/First/v1, $methods: [$foo: [$procedure: {return 1}]]]');
+            try {
+                await compiler.compileType(cyclic, type);
+                expect.fail('The compiler should have thrown an exception.');
+            } catch (exception) {
+                expect(exception.getAttribute('$exception').toString()).to.equal('$circularDependency');
+                expect(exception.getAttribute('$cycle').toArray().map(function(name) {
+                    return name.toString();
+                })).to.deep.equal(['/acme/types/First/v1', '/acme/types/Second/v1', '/acme/types/First/v1']);
+            }
+        });
+
+        it('should report the operations that a type does not implement', async function() {
+            const documents = {
+                '/acme/types/Shape/v1': bali.component('[$parent: none, $interfaces: [/acme/types/Named/v1], $functions: [$sides: [:]]]'),
+                '/acme/types/Named/v1': bali.component('[$parent: none, $interfaces: [/acme/types/Printable/v1], $operations: [$getName: [:]]]'),
+                '/acme/types/Printable/v1': bali.component('[$parent: none, $operations: [$print: [:]]]')
+            };
+            const shapes = documentRepository(documents);
+            const type = bali.component('[$parent: /acme/types/Shape/v1, $methods: [$getName: [$procedure: {return "square"}]]]');
+            try {
+                await compiler.compileType(shapes, type, {accumulateErrors: true});
+                expect.fail('The compiler should have thrown an exception.');
+            } catch (exception) {
+                expect(exception.getAttribute('$exception').toString()).to.equal('$compilationErrors');
+                const actual = exception.getAttribute('$errors').toArray().map(function(error) {
+                    return error.getAttribute('$method').toString() + ' ' + error.getAttribute('$exception').toString();
+                });
+                expect(actual).to.deep.equal([
+                    '$sides $missingImplementation',
+                    '$print $missingImplementation'
+                ]);
+            }
+        });
+
+        it('should report an operation whose signature differs from its interface', async function() {
+            const documents = {
+                '/acme/types/Account/v1': bali.component('[$parent: none, $operations: [$deposit: [$parameters: [$amount: [$type: /nebula/elements/Number/v1]]]]]')
+            };
+            const accounts = documentRepository(documents);
+            const type = bali.component('[$parent: none, $interfaces: [/acme/types/Account/v1], $operations: [$deposit: [$parameters: [$amount: [$type: /nebula/strings/Text/v1]]]], $methods: [$deposit: [$procedure: {return amount}]]]');
+            try {
+                await compiler.compileType(accounts, type);
+                expect.fail('The compiler should have thrown an exception.');
+            } catch (exception) {
+                expect(exception.getAttribute('$exception').toString()).to.equal('$signatureMismatch');
+                expect(exception.getAttribute('$method').toString()).to.equal('$deposit');
+                expect(exception.getAttribute('$type').toString()).to.equal('/acme/types/Account/v1');
+            }
+        });
+
+        it('should describe the first type mismatch that is found', async function() {
+            const source = await pfs.readFile('test/types/types.bali', 'utf8');
+            const type = bali.component(source);
+            try {
+                await compiler.compileType(repository, type);
+                expect.fail('The compiler should have thrown an exception.');
+            } catch (exception) {
+                expect(exception.getAttribute('$exception').toString()).to.equal('$typeMismatch');
+                expect(exception.getAttribute('$intrinsic').toString()).to.equal('$factorial');
+                expect(exception.getAttribute('$expected').getItem(1).toString()).to.equal('/nebula/elements/Number/v1');
+                expect(exception.getAttribute('$actual').toString()).to.equal('/nebula/collections/Catalog/v1');
+                expect(exception.getAttribute('$statement').getValue()).to.equal('1.ReturnStatement');
+            }
+        });
+
     });
 
 });
@@ -13,8 +13,10 @@ const pfs = require('fs').promises;
 const mocha = require('mocha');
 const expect = require('chai').expect;
 const bali = require('bali-component-framework').api(debug);
+const types = require('../src/Types');
+const Intrinsics = require('../src/Intrinsics').Intrinsics;
 const Decoder = require('../src/Decoder').Decoder;
-const decoder = new Decoder(debug);
+const decoder = new Decoder(new Intrinsics(debug), debug);
 
 describe('Bali Method Compiler', function() {
 
@@ -65,7 +67,8 @@ describe('Bali Method Compiler', function() {
                 encoded = decoder.encodeInstruction(operation, modifier, operand);
                 if (decoder.instructionIsValid(instruction)) {
                     expect(instruction).to.equal(encoded);
-                    bytecode.push(instruction);
+                    // an extension prefix would change the instruction that follows it
+                    if (!decoder.isExtension(instruction)) bytecode.push(instruction);
                 }
             }
 
@@ -75,6 +78,90 @@ describe('Bali Method Compiler', function() {
             expect(formattedInstructions).to.equal(expected);
         });
 
+        it('should encode and decode instructions with extended operands', function() {
+            const operand = 0x12345;
+            const bytecode = decoder.encodeExtendedInstruction(types.LOAD, types.VARIABLE, operand);
+            expect(bytecode.length).to.equal(2);
+            expect(decoder.isExtension(bytecode[0])).to.equal(true);
+            expect(decoder.instructionIsValid(bytecode[0])).to.equal(true);
+            expect(decoder.isExtension(bytecode[1])).to.equal(false);
+            const extension = decoder.decodeOperand(bytecode[0]);
+            expect(decoder.decodeOperation(bytecode[1])).to.equal(types.LOAD);
+            expect(decoder.decodeOperand(bytecode[1], extension)).to.equal(operand);
+            expect(decoder.instructionToString(bytecode[1], extension)).to.equal('LOAD VARIABLE ' + operand);
+            const formatted = decoder.bytecodeToString(bytecode);
+            expect(formatted).to.contain('EXTEND OPERAND');
+            expect(formatted).to.contain('LOAD VARIABLE ' + operand);
+            expect(decoder.encodeExtendedInstruction(types.LOAD, types.VARIABLE, 5).length).to.equal(1);
+        });
+
+        it('should validate extended instructions using their whole operands', function() {
+            [
+                [types.PUSH, types.LITERAL, 2048],
+                [types.JUMP, types.ON_FALSE, 4096]
+            ].forEach(function(instruction) {
+                const bytecode = decoder.encodeExtendedInstruction(instruction[0], instruction[1], instruction[2]);
+                expect(bytecode.length).to.equal(2);
+                expect(decoder.decodeOperand(bytecode[1])).to.equal(0);  // the low bits are all zero
+                const decoded = decoder.decodeBytecode(bytecode);
+                expect(decoded.length).to.equal(1);
+                expect(decoded[0].operand).to.equal(instruction[2]);
+                expect(decoder.instructionIsValid(decoded[0].instruction, decoded[0].extension)).to.equal(true);
+            });
+            // a PULL instruction has no operand that can be extended
+            const pull = decoder.encodeInstruction(types.PULL, types.RESULT);
+            expect(decoder.instructionIsValid(pull, 1)).to.equal(false);
+        });
+
+        it('should encode and decode messages sent to super', function() {
+            [
+                [types.TO_SUPER, types.TO_COMPONENT],
+                [types.TO_SUPER_WITH_ARGUMENTS, types.TO_COMPONENT_WITH_ARGUMENTS]
+            ].forEach(function(modifiers) {
+                const bytecode = decoder.encodeExtendedInstruction(types.SEND, modifiers[0], 3);
+                expect(bytecode.length).to.equal(2);
+                expect(decoder.decodeModifier(bytecode[1])).to.equal(modifiers[1]);  // the flag is in the prefix
+                expect(decoder.decodeOperand(bytecode[0])).to.equal(types.SUPER >>> 11);
+                const decoded = decoder.decodeBytecode(bytecode);
+                expect(decoded.length).to.equal(1);
+                expect(decoded[0].modifier).to.equal(modifiers[0]);
+                expect(decoded[0].operand).to.equal(3);
+                expect(decoder.instructionIsValid(decoded[0].instruction, decoded[0].extension)).to.equal(true);
+                expect(decoder.instructionToString(decoded[0].instruction, decoded[0].extension)).to.equal(
+                    'SEND 3 ' + types.sendModifierString(modifiers[0])
+                );
+            });
+            // a message sent to a document cannot be sent to super instead
+            const send = decoder.encodeInstruction(types.SEND, types.TO_DOCUMENT, 3);
+            expect(decoder.instructionIsValid(send, types.SUPER >>> 11)).to.equal(false);
+        });
+
+        it('should reserve the top bit of the operand of a message for super', function() {
+            const maximum = types.MAXIMUM_MESSAGE_OPERAND;
+            expect(maximum).to.equal(types.SUPER - 1);
+            [types.TO_COMPONENT, types.TO_SUPER].forEach(function(modifier) {
+                const bytecode = decoder.encodeExtendedInstruction(types.SEND, modifier, maximum);
+                const decoded = decoder.decodeBytecode(bytecode);
+                expect(decoded[0].modifier).to.equal(modifier);
+                expect(decoded[0].operand).to.equal(maximum);
+                expect(
+                    function() { decoder.encodeExtendedInstruction(types.SEND, modifier, maximum + 1); }
+                ).to.throw();
+            });
+            // other operations may use the whole extended operand
+            const bytecode = decoder.encodeExtendedInstruction(types.LOAD, types.VARIABLE, types.SUPER);
+            expect(decoder.decodeBytecode(bytecode)[0].operand).to.equal(types.SUPER);
+        });
+
+        it('should reject operands that are too large', function() {
+            expect(
+                function() { decoder.encodeInstruction(types.LOAD, types.VARIABLE, types.MAXIMUM_OPERAND + 1); }
+            ).to.throw();
+            expect(
+                function() { decoder.encodeExtendedInstruction(types.LOAD, types.VARIABLE, types.MAXIMUM_EXTENDED_OPERAND + 1); }
+            ).to.throw();
+        });
+
     });
 
 });
@@ -0,0 +1,102 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+
+const debug = 0;
+const pfs = require('fs').promises;
+const mocha = require('mocha');
+const expect = require('chai').expect;
+const bali = require('bali-component-framework').api(debug);
+const compiler = require('../index').api(debug);
+
+/*
+ * A repository that does not contain any types.
+ */
+const repository = {
+    retrieveContract: async function(name) {}
+};
+
+/*
+ * Reassemble the disassembled source code for a method using the addresses of the
+ * synthesized labels and return the resulting bytecode.
+ */
+const reassemble = function(type, method, source) {
+    const instructions = compiler.parseInstructions(source);
+    const addresses = bali.catalog();
+    var address = 1;
+    const iterator = instructions.getIterator();
+    while (iterator.hasNext()) {
+        const instruction = iterator.getNext();
+        const label = instruction.getAttribute('$label');
+        if (label) addresses.setAttribute(label, address);
+        address++;
+    }
+    method.setAttribute('$instructions', bali.text(source));
+    method.setAttribute('$addresses', addresses);
+    method.removeAttribute('$statements');
+    compiler.assembleMethod(type, method);
+    return method.getAttribute('$bytecode').getValue().toString('hex');
+};
+
+describe('Bali Nebula™ Type Compiler', function() {
+
+    describe('Test the disassembler.', function() {
+
+        it('should disassemble the bytecode for compiled methods into reassemblable instructions', async function() {
+            const testFolder = 'test/compiler/';
+            const files = await pfs.readdir(testFolder);
+            for (var i = 0; i < files.length; i++) {
+                const file = files[i];
+                if (!file.endsWith('.bali')) continue;
+                const source = await pfs.readFile(testFolder + file, 'utf8');
+                const type = bali.component(source);
+                const methods = type.getAttribute('$methods');
+                if (!methods) continue;
+                const iterator = methods.getIterator();
+                while (iterator.hasNext()) {
+                    const method = iterator.getNext().getValue();
+                    const expected = method.getAttribute('$bytecode').getValue().toString('hex');
+                    method.removeAttribute('$instructions');  // the assembly text has been cleaned
+                    const assembly = compiler.disassembleMethod(type, method);
+                    expect(assembly).to.not.contain('NOTE');
+                    const actual = reassemble(type, method, assembly);
+                    expect(actual).to.equal(expected);
+                }
+            }
+        });
+
+        it('should synthesize labels for the jump and handler targets', async function() {
+            const source = await pfs.readFile('test/interpreter/procedures.bali', 'utf8');
+            const type = bali.component(source);
+            await compiler.compileType(repository, type);
+            const method = type.getAttribute('$methods').getAttribute('$recover');
+            const assembly = compiler.disassembleMethod(type, method);
+            expect(assembly).to.contain('PUSH HANDLER 8.Target');
+            expect(assembly).to.contain('8.Target:' + '\n' + 'SAVE VARIABLE $exception');
+            expect(assembly).to.contain('PUSH LITERAL `"recovered"`');
+            expect(assembly).to.contain('CALL $association WITH 2 ARGUMENTS');
+            reassemble(type, method, assembly);
+            const result = await compiler.executeMethod({}, type, method);
+            expect(result.toString()).to.equal('"recovered"');
+        });
+
+        it('should reject bytecode with an operand that is out of range', async function() {
+            const source = await pfs.readFile('test/interpreter/procedures.bali', 'utf8');
+            const type = bali.component(source);
+            await compiler.compileType(repository, type);
+            const method = type.getAttribute('$methods').getAttribute('$total');
+            method.getAttribute('$variables').emptyCollection();
+            expect(
+                function() { compiler.disassembleMethod(type, method); }
+            ).to.throw();
+        });
+
+    });
+
+});
@@ -0,0 +1,608 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+
+const debug = 0;
+const EOL = '\n';  // POSIX end of line character
+const pfs = require('fs').promises;
+const mocha = require('mocha');
+const expect = require('chai').expect;
+const bali = require('bali-component-framework').api(debug);
+const compiler = require('../index').api(debug);
+
+/*
+ * This function returns a document repository that retrieves the contract for each of the
+ * specified type documents. Any changes to the documents are seen by later retrievals.
+ */
+const documentRepository = function(documents) {
+    return {
+        retrieveContract: async function(name) {
+            const document = documents[name.toString()];
+            if (document) return bali.catalog({$document: document});
+        }
+    };
+};
+
+/*
+ * A repository that does not contain any types.
+ */
+const repository = documentRepository({});
+
+/*
+ * A type containing a method with nested loops that break out of and continue the named
+ * outer loop, or the loop with the specified name.
+ */
+const nested = function(target) {
+    return `[
+    $parent: none
+    $functions: [
+        $flatten: [
+            $parameters: [
+                $rows: [
+                    $type: /nebula/collections/List/v1
+                ]
+            ]
+        ]
+    ]
+    $methods: [
+        $flatten: [
+            $procedure: {
+                $result := [ ]
+                with each $row in rows do {
+                    with each $cell in row do {
+                        if cell < 0 then {
+                            break loop ${target || '$rows'}
+                        }
+                        if cell = 0 then {
+                            continue loop ${target || '$rows'}
+                        }
+                        result.addItem(cell)
+                    }
+                } as $rows
+                return result
+            }
+        ]
+    ]
+]`;
+};
+
+/*
+ * A type containing a method whose statements release resources in final blocks.
+ */
+const RELEASE = `[
+    $parent: none
+    $functions: [
+        $release: [:]
+    ]
+    $methods: [
+        $release: [
+            $procedure: {
+                $log := [ ]
+                throw $first handle $exception matching $first with {
+                    log.addItem("handled")
+                } finally {
+                    log.addItem("released first")
+                }
+                log.addItem("succeeded") finally {
+                    log.addItem("released log")
+                }
+                if true then {
+                    throw $second finally {
+                        log.addItem("released second")
+                    }
+                } handle $exception matching $second with {
+                    log.addItem("caught")
+                }
+                return log
+            }
+        ]
+    ]
+]`;
+
+/*
+ * A type containing methods that leave statements with final blocks early.
+ */
+const EXITS = `[
+    $parent: none
+    $functions: [
+        $returning: [:]
+        $handling: [:]
+        $looping: [:]
+        $rethrowing: [:]
+    ]
+    $methods: [
+        $returning: [
+            $procedure: {
+                $log := [ ]
+                if true then {
+                    if true then {
+                        return log
+                    } finally {
+                        log.addItem("inner")
+                    }
+                } finally {
+                    log.addItem("outer")
+                }
+            }
+        ]
+        $handling: [
+            $procedure: {
+                $log := [ ]
+                throw $oops handle $exception matching $oops with {
+                    log.addItem("handled")
+                    return log
+                } finally {
+                    log.addItem("released")
+                }
+            }
+        ]
+        $looping: [
+            $procedure: {
+                $log := [ ]
+                with each $item in [1, 2, 3, 4] do {
+                    if item = 2 then {
+                        continue loop
+                    } finally {
+                        log.addItem("continuing")
+                    }
+                    if item = 4 then {
+                        break loop
+                    } finally {
+                        log.addItem("breaking")
+                    }
+                    log.addItem(item)
+                }
+                return log
+            }
+        ]
+        $rethrowing: [
+            $procedure: {
+                $log := [ ]
+                if true then {
+                    throw $first handle $exception matching $first with {
+                        throw $second
+                    } finally {
+                        log.addItem("released")
+                    }
+                } handle $exception matching $second with {
+                    log.addItem("caught")
+                }
+                return log
+            }
+        ]
+    ]
+]`;
+
+/*
+ * A parent type and a child type whose method extends the parent's implementation of the
+ * same method.
+ */
+const BASE = `[
+    $parent: none
+    $functions: [
+        $price: [
+            $parameters: [
+                $amount: [
+                    $type: /nebula/numbers/Number/v1
+                ]
+            ]
+        ]
+    ]
+    $methods: [
+        $price: [
+            $procedure: {
+                return amount * 2
+            }
+        ]
+    ]
+]`;
+
+const MIDDLE = `[
+    $parent: /acme/types/Base/v1
+    $methods: [:]
+]`;
+
+const DERIVED = `[
+    $parent: /acme/types/Middle/v1
+    $methods: [
+        $price: [
+            $procedure: {
+                return super.price(amount) + 1
+            }
+        ]
+    ]
+]`;
+
+describe('Bali Nebula™ Type Compiler', function() {
+    var type;
+
+    describe('Test the reference interpreter.', function() {
+
+        it('should compile the test procedures', async function() {
+            const source = await pfs.readFile('test/interpreter/procedures.bali', 'utf8');
+            type = bali.component(source);
+            expect(type).to.exist;
+            await compiler.compileType(repository, type);
+        });
+
+        it('should execute a loop over the items in a list', async function() {
+            const method = type.getAttribute('$methods').getAttribute('$total');
+            const result = await compiler.executeMethod({}, type, method, undefined, bali.list([
+                bali.list([1, 2, 3, 4])
+            ]));
+            expect(result.toString()).to.equal('10');
+        });
+
+        it('should execute a loop that breaks out early', async function() {
+            const method = type.getAttribute('$methods').getAttribute('$countdown');
+            const result = await compiler.executeMethod({}, type, method, undefined, bali.list([3]));
+            expect(bali.areEqual(result, bali.list([3, 2, 1]))).to.equal(true);
+        });
+
+        it('should execute the handler for a thrown exception', async function() {
+            const method = type.getAttribute('$methods').getAttribute('$recover');
+            const result = await compiler.executeMethod({}, type, method);
+            expect(result.toString()).to.equal('"recovered"');
+        });
+
+        it('should handle an exception that a called method did not handle', async function() {
+            const methods = type.getAttribute('$methods');
+            const environment = {
+                sendMessage: async function(target, message, args) {
+                    return await compiler.executeMethod(environment, type, methods.getAttribute('$fail'));
+                }
+            };
+            const result = await compiler.executeMethod(environment, type, methods.getAttribute('$delegate'), undefined, bali.list([
+                bali.catalog()
+            ]));
+            expect(result.toString()).to.equal('"delegated"');
+        });
+
+        it('should delegate to the document stubs in the environment', async function() {
+            const documents = [];
+            const environment = {
+                saveDocument: async function(document) {
+                    documents.push(document);
+                    return bali.component('/acme/citations/' + documents.length + '/v1');
+                }
+            };
+            const method = type.getAttribute('$methods').getAttribute('$archive');
+            const document = bali.catalog({$foo: 'bar'});
+            const result = await compiler.executeMethod(environment, type, method, undefined, bali.list([
+                document
+            ]));
+            expect(result.toString()).to.equal('/acme/citations/1/v1');
+            expect(documents[0]).to.equal(document);
+        });
+
+        it('should throw an exception when a required stub is missing', async function() {
+            const method = type.getAttribute('$methods').getAttribute('$archive');
+            try {
+                await compiler.executeMethod({}, type, method, undefined, bali.list([bali.catalog()]));
+                expect.fail('The interpreter should have thrown an exception.');
+            } catch (exception) {
+                expect(exception.getAttribute('$exception').toString()).to.equal('$missingStub');
+            }
+        });
+
+        it('should pull the exception handlers for statements that a loop exits', async function() {
+            const method = type.getAttribute('$methods').getAttribute('$escape');
+            const instructions = method.getAttribute('$instructions').getValue();
+            expect(instructions).to.contain('PULL HANDLER' + EOL + 'JUMP TO 2.WithStatementDone');
+            expect(instructions).to.contain('PULL HANDLER' + EOL + 'JUMP TO 2.1.ConditionClause');
+            try {
+                await compiler.executeMethod({}, type, method, undefined, bali.list([
+                    bali.list([1, 0, 7, 2, 3, -1, 4])
+                ]));
+                expect.fail('The interpreter should have thrown an exception.');
+            } catch (exception) {
+                // no stale handler remains to catch the exception thrown after the loop
+                expect(exception.getAttribute('$exception').toString()).to.equal('$unhandledException');
+                expect(exception.getAttribute('$value').toString()).to.equal('6');
+            }
+        });
+
+        it('should execute final blocks whether or not an exception is handled', async function() {
+            const release = bali.component(RELEASE);
+            const method = release.getAttribute('$methods').getAttribute('$release');
+            const code = method.getAttribute('$procedure').getCode();
+            expect(code.getItem(2).getItem(-1).isType('/bali/trees/Block')).to.equal(true);
+            expect(release.toString()).to.equal(RELEASE);  // final blocks format back into source
+            await compiler.compileType(repository, release);
+            const result = await compiler.executeMethod({}, release, method);
+            expect(bali.areEqual(result, bali.list([
+                'handled', 'released first', 'succeeded', 'released log', 'released second', 'caught'
+            ]))).to.equal(true);
+        });
+
+        it('should execute final blocks before leaving statements early', async function() {
+            const exits = bali.component(EXITS);
+            const methods = exits.getAttribute('$methods');
+            const source = exits.toString();
+            expect(bali.component(source).toString()).to.equal(source);  // final blocks parse back unchanged
+            await compiler.compileType(repository, exits);
+            compiler.verifyType(exits);
+            const execute = async function(method) {
+                const result = await compiler.executeMethod({}, exits, methods.getAttribute(method));
+                return result.toArray().map(function(item) {
+                    return item.isType('/bali/strings/Text') ? item.getValue() : item.toString();
+                }).join(' ');
+            };
+            expect(await execute('$returning')).to.equal('inner outer');
+            expect(await execute('$handling')).to.equal('handled released');
+            expect(await execute('$looping')).to.equal(
+                'continuing breaking 1 continuing continuing breaking 3 continuing breaking'
+            );
+            expect(await execute('$rethrowing')).to.equal('released caught');
+        });
+
+        it('should count through a literal range without an iterator', async function() {
+            const method = type.getAttribute('$methods').getAttribute('$tally');
+            const instructions = method.getAttribute('$instructions').getValue();
+            expect(instructions).to.not.contain('$iterator');
+            expect(instructions).to.contain('CALL $isMore WITH 2 ARGUMENTS');
+            const result = await compiler.executeMethod({}, type, method);
+            expect(result.toString()).to.equal('252');
+        });
+
+        it('should interpolate the expressions embedded within text', async function() {
+            const method = type.getAttribute('$methods').getAttribute('$greet');
+            const result = await compiler.executeMethod({}, type, method, undefined, bali.list([
+                bali.text('Bob'), 5
+            ]));
+            expect(result.toString()).to.equal('"Hello Bob, you owe 6 \\{dollars}."');
+        });
+
+        it('should only interpolate the curly braces that are not escaped', async function() {
+            const texts = bali.component(`[
+                $parent: none
+                $functions: [
+                    $plain: [
+                        $parameters: [
+                            $name: [:]
+                        ]
+                    ]
+                    $tagged: [
+                        $parameters: [
+                            $name: [:]
+                        ]
+                    ]
+                ]
+                $methods: [
+                    $plain: [
+                        $procedure: {
+                            return "Hello \\{name}"
+                        }
+                    ]
+                    $tagged: [
+                        $procedure: {
+                            return "{name} says hello"($language: $english)
+                        }
+                    ]
+                ]
+            ]`);
+            await compiler.compileType(repository, texts);
+            const methods = texts.getAttribute('$methods');
+            const plain = await compiler.executeMethod({}, texts, methods.getAttribute('$plain'), undefined, bali.list([
+                bali.text('Bob')
+            ]));
+            expect(plain.toString()).to.equal('"Hello \\{name}"');
+            expect(methods.getAttribute('$plain').getAttribute('$instructions').getValue()).to.not.contain('$chain');
+            const tagged = await compiler.executeMethod({}, texts, methods.getAttribute('$tagged'), undefined, bali.list([
+                bali.text('Bob')
+            ]));
+            expect(tagged.getValue()).to.equal('Bob says hello');
+            expect(tagged.getParameter('$language').toString()).to.equal('$english');
+        });
+
+        it('should reject text with an invalid embedded expression', async function() {
+            const invalid = bali.component(`[
+                $parent: none
+                $functions: [
+                    $broken: [:]
+                ]
+                $methods: [
+                    $broken: [
+                        $procedure: {
+                            return "Hello {name"
+                        }
+                    ]
+                ]
+            ]`);
+            try {
+                await compiler.compileType(repository, invalid);
+                expect.fail('The compiler should have thrown an exception.');
+            } catch (exception) {
+                expect(exception.getAttribute('$exception').toString()).to.equal('$invalidTemplate');
+            }
+        });
+
+        it('should break out of and continue a named outer loop', async function() {
+            const source = nested();
+            const loops = bali.component(source);
+            expect(loops.toString()).to.equal(source);  // loop names format back into source
+            await compiler.compileType(repository, loops);
+            const method = loops.getAttribute('$methods').getAttribute('$flatten');
+            const rows = bali.list([
+                bali.list([1, 0, 2]), bali.list([3, 4]), bali.list([5, -1, 6]), bali.list([7])
+            ]);
+            const result = await compiler.executeMethod({}, loops, method, undefined, bali.list([rows]));
+            expect(bali.areEqual(result, bali.list([1, 3, 4, 5]))).to.equal(true);
+        });
+
+        it('should reject a break out of a loop name that does not enclose it', async function() {
+            const loops = bali.component(nested('$columns'));
+            try {
+                await compiler.compileType(repository, loops);
+                expect.fail('The compiler should have thrown an exception.');
+            } catch (exception) {
+                expect(exception.getAttribute('$exception').toString()).to.equal('$noMatchingLoop');
+                expect(exception.getAttribute('$loop').toString()).to.equal('$columns');
+            }
+        });
+
+        it('should execute the parent method that a method overrides', async function() {
+            const base = bali.component(BASE);
+            await compiler.compileType(repository, base);
+            const types = {
+                '/acme/types/Base/v1': base,
+                '/acme/types/Middle/v1': bali.component(MIDDLE)
+            };
+            const environment = documentRepository(types);
+            const derived = bali.component(DERIVED);
+            await compiler.compileType(environment, derived);
+            compiler.verifyType(derived);
+            const method = derived.getAttribute('$methods').getAttribute('$price');
+            expect(method.getAttribute('$instructions').getValue()).to.contain('SEND $price TO SUPER WITH ARGUMENTS');
+            expect(method.getAttribute('$literals')).to.not.exist;
+            expect(compiler.disassembleMethod(derived, method)).to.contain('SEND $price TO SUPER WITH ARGUMENTS');
+            const bytecode = compiler.bytecode(method.getAttribute('$bytecode').getValue());
+            expect(bytecode.some(compiler.isExtension)).to.equal(true);
+            const result = await compiler.executeMethod(environment, derived, method, undefined, bali.list([5]));
+            expect(result.toString()).to.equal('11');
+
+            // a message to the name of the parent is still sent to the named document
+            const sent = [];
+            environment.sendMessage = async function(target, message, args) {
+                sent.push(target.toString() + message.toString());
+                return bali.number(0);
+            };
+            method.setAttribute('$procedure', bali.component(`{
+                $parent := /acme/types/Base/v1
+                return parent.price(amount)
+            }`));
+            await compiler.compileType(environment, derived);
+            await compiler.executeMethod(environment, derived, method, undefined, bali.list([5]));
+            expect(sent).to.deep.equal(['/acme/types/Base/v1$price']);
+        });
+
+        it('should send a message to a variable named super', async function() {
+            const base = bali.component(BASE);
+            const method = base.getAttribute('$methods').getAttribute('$price');
+            method.setAttribute('$procedure', bali.component(`{
+                $super := [amount, amount]
+                return super.getSize()
+            }`));
+            await compiler.compileType(repository, base);
+            expect(method.getAttribute('$instructions').getValue()).to.not.contain('TO SUPER');
+            const result = await compiler.executeMethod({}, base, method, undefined, bali.list([5]));
+            expect(result.toString()).to.equal('2');
+        });
+
+        it('should reject a message to super from a type with no parent', async function() {
+            const base = bali.component(BASE);
+            const method = base.getAttribute('$methods').getAttribute('$price');
+            method.setAttribute('$procedure', bali.component('{ return super.price(amount) }'));
+            try {
+                await compiler.compileType(repository, base);
+                expect.fail('The compiler should have thrown an exception.');
+            } catch (exception) {
+                expect(exception.getAttribute('$exception').toString()).to.equal('$missingParent');
+                expect(exception.getAttribute('$message').toString()).to.equal('$price');
+            }
+        });
+
+        it('should reject a message to super that no parent method implements', async function() {
+            const base = bali.component(BASE);
+            const environment = documentRepository({'/acme/types/Base/v1': base});
+            const derived = bali.component(DERIVED);
+            derived.setAttribute('$parent', bali.component('/acme/types/Base/v1'));
+            const method = derived.getAttribute('$methods').getAttribute('$price');
+            method.setAttribute('$procedure', bali.component('{ return super.discount(amount) }'));
+            try {
+                await compiler.compileType(environment, derived);
+                expect.fail('The compiler should have thrown an exception.');
+            } catch (exception) {
+                expect(exception.getAttribute('$exception').toString()).to.equal('$missingParentMethod');
+                expect(exception.getAttribute('$message').toString()).to.equal('$discount');
+                expect(exception.getAttribute('$parent').toString()).to.equal('/acme/types/Base/v1');
+            }
+        });
+
+        it('should fault when the parent of a type cannot be retrieved', async function() {
+            const base = bali.component(BASE);
+            await compiler.compileType(repository, base);
+            const types = {
+                '/acme/types/Base/v1': base,
+                '/acme/types/Middle/v1': bali.component(MIDDLE)
+            };
+            const environment = documentRepository(types);
+            const derived = bali.component(DERIVED);
+            const method = derived.getAttribute('$methods').getAttribute('$price');
+            method.setAttribute('$procedure', bali.component(`{
+                return super.price(amount) handle $exception matching $missingType with {
+                    return 0
+                }
+            }`));
+            await compiler.compileType(environment, derived);
+            delete types['/acme/types/Middle/v1'];
+            try {
+                await compiler.executeMethod(environment, derived, method, undefined, bali.list([5]));
+                expect.fail('The interpreter should have thrown an exception.');
+            } catch (exception) {
+                // the procedure cannot handle the fault
+                expect(exception.getAttribute('$exception').toString()).to.equal('$missingType');
+                expect(exception.getAttribute('$type').toString()).to.equal('/acme/types/Middle/v1');
+            }
+        });
+
+        it('should execute a method that requires extended operands', async function() {
+            const count = 1100;
+            var statements = '';
+            for (var i = 1; i <= count; i++) {
+                statements += '                $x' + i + ' := ' + i + EOL;
+            }
+            const large = bali.component(
+                '[' + EOL +
+                '    $parent: none' + EOL +
+                '    $functions: [' + EOL +
+                '        $large: [:]' + EOL +
+                '    ]' + EOL +
+                '    $methods: [' + EOL +
+                '        $large: [' + EOL +
+                '            $procedure: {' + EOL +
+                statements +
+                '                if x1 = 1 then {' + EOL +
+                '                    return x' + count + EOL +
+                '                }' + EOL +
+                '                return none' + EOL +
+                '            }' + EOL +
+                '        ]' + EOL +
+                '    ]' + EOL +
+                ']'
+            );
+            await compiler.compileType(repository, large);
+            const method = large.getAttribute('$methods').getAttribute('$large');
+            const bytecode = compiler.bytecode(method.getAttribute('$bytecode').getValue());
+            expect(bytecode.some(compiler.isExtension)).to.equal(true);
+
+            // the label addresses remain instruction indexes so the method can be reassembled
+            const instructions = method.getAttribute('$instructions').getValue().split(EOL).filter(function(line) {
+                return line.length > 0 && !line.endsWith(':');
+            });
+            const addresses = method.getAttribute('$addresses');
+            const bytecodeAddresses = method.getAttribute('$bytecodeAddresses');
+            const shifted = addresses.toArray().filter(function(association) {
+                const index = association.getValue().toInteger();
+                expect(index).to.be.at.most(instructions.length);
+                return bytecodeAddresses.getAttribute(association.getKey()).toInteger() > index;
+            });
+            expect(shifted.length).to.be.above(0);
+            const sourceMap = method.getAttribute('$statements').toString();
+            compiler.assembleMethod(large, method);
+            expect(compiler.bytecode(method.getAttribute('$bytecode').getValue())).to.deep.equal(bytecode);
+            expect(method.getAttribute('$statements').toString()).to.equal(sourceMap);
+
+            const result = await compiler.executeMethod({}, large, method);
+            expect(result.toString()).to.equal('' + count);
+        });
+
+    });
+
+});
@@ -0,0 +1,410 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+
+const debug = 0;
+const mocha = require('mocha');
+const expect = require('chai').expect;
+const bali = require('bali-component-framework').api(debug);
+const compiler = require('../index').api(debug);
+const EXTENSIONS_INDEX = require('../src/Intrinsics').EXTENSIONS_INDEX;
+const Intrinsics = require('../src/Intrinsics').Intrinsics;
+const intrinsics = new Intrinsics(debug);
+const EOL = '\n';
+
+/*
+ * A repository that does not contain any types.
+ */
+const repository = {
+    retrieveContract: async function(name) {}
+};
+
+describe('Bali Nebula™ Type Compiler', function() {
+
+    describe('Test the intrinsic function registry.', function() {
+
+        it('should map each intrinsic function to a unique index', function() {
+            const names = intrinsics.getNames();
+            names.forEach(function(name) {
+                expect(intrinsics.getName(intrinsics.getIndex(name))).to.equal(name);
+            });
+            expect(intrinsics.getIndex('$addItem')).to.equal(1);
+            expect(intrinsics.getName(0)).to.not.exist;
+            expect(intrinsics.getIndex('$foo')).to.not.exist;
+        });
+
+        it('should describe the arguments and result of each intrinsic function', function() {
+            intrinsics.getNames().forEach(function(name) {
+                const signature = intrinsics.getSignature(name);
+                expect(signature.minimum).to.be.at.least(0);
+                expect(signature.maximum).to.be.at.least(signature.minimum);
+                expect(signature.argumentz.length).to.equal(signature.maximum);
+                expect(signature.result).to.exist;
+            });
+            const signature = intrinsics.getSignature('$factorial');
+            expect(signature.argumentz).to.deep.equal([['Number']]);
+            expect(signature.result).to.equal('Number');
+        });
+
+        it('should accept as many arguments as the framework definitions', function() {
+            const parameters = function(definition) {
+                const names = definition.toString().match(/\(([^)]*)\)/)[1].split(',').map(function(name) {
+                    return name.trim();
+                }).filter(Boolean);
+                if (names[names.length - 1] === 'debug') names.pop();  // never passed as an argument
+                return names;
+            };
+            const decoder = bali.decoder();
+            // each intrinsic function, its definition, and whether the component is the first argument
+            [
+                ['$base02', decoder.base02Encode, false],
+                ['$base16', decoder.base16Encode, false],
+                ['$base32', decoder.base32Encode, false],
+                ['$base64', decoder.base64Encode, false],
+                ['$binary', bali.binary, false],
+                ['$comparator', bali.comparator, false],
+                ['$day', bali.moment().getDay, true],
+                ['$duration', bali.duration, false],
+                ['$html', bali.html, false],
+                ['$insertItem', bali.list().insertItem, true],
+                ['$nextVersion', bali.version.nextVersion, false],
+                ['$procedure', bali.procedure, false],
+                ['$ranking', bali.ranking, false],
+                ['$scaled', bali.number.scaled, false],
+                ['$sortItems', bali.list().sortItems, true],
+                ['$sorter', bali.sorter, false],
+                ['$source', bali.source, false],
+                ['$tag', bali.tag, false]
+            ].forEach(function(definition) {
+                const signature = intrinsics.getSignature(definition[0]);
+                const maximum = parameters(definition[1]).length + (definition[2] ? 1 : 0);
+                expect(signature.maximum, definition[0]).to.equal(maximum);
+            });
+            // the interpreter passes the scaling factor to the framework as factor.toReal()
+            const factors = {Number: bali.number(2), Percentage: bali.percentage(50), Probability: bali.probability(0.5)};
+            intrinsics.getSignature('$scaled').argumentz[1].forEach(function(type) {
+                expect(factors[type].toReal, type).to.be.a('function');
+            });
+        });
+
+        it('should only compile calls with a supported number of arguments', async function() {
+            const call = async function(name, count) {
+                const names = ['a', 'b', 'c', 'd', 'e'].slice(0, count);
+                const type = bali.component(`[
+    $parent: none
+    $functions: [
+        $call: [
+            $parameters: [
+                $a: [:]
+                $b: [:]
+                $c: [:]
+                $d: [:]
+                $e: [:]
+            ]
+        ]
+    ]
+    $methods: [
+        $call: [
+            $procedure: {
+                return ${name.slice(1)}(${names.join(', ')})
+            }
+        ]
+    ]
+]`);
+                await compiler.compileType(repository, type);
+            };
+            const boundaries = {
+                $base02: [1, 2],
+                $base16: [1, 2],
+                $comparator: [0, 0],
+                $format: [1, 1],
+                $html: [1, 3],
+                $scaled: [2, 2],
+                $sortItems: [1, 3],
+                $tag: [0, 2]
+            };
+            for (const name in boundaries) {
+                const minimum = boundaries[name][0];
+                const maximum = boundaries[name][1];
+                await call(name, minimum);
+                await call(name, maximum);
+                const invalid = minimum ? [minimum - 1, maximum + 1] : [maximum + 1];
+                for (const count of invalid) {
+                    try {
+                        await call(name, count);
+                        expect.fail('The compiler should have thrown an exception.');
+                    } catch (exception) {
+                        expect(exception.getAttribute('$exception').toString(), name).to.equal('$argumentCount');
+                        expect(exception.getAttribute('$actual').toString(), name).to.equal(count.toString());
+                    }
+                }
+            }
+        });
+
+        it('should compile and execute calls with arguments of mixed types', async function() {
+            const type = bali.component(`[
+    $parent: none
+    $functions: [
+        $label: [
+            $parameters: [
+                $count: [
+                    $type: /nebula/elements/Number/v1
+                ]
+            ]
+        ]
+    ]
+    $methods: [
+        $label: [
+            $procedure: {
+                $total := count
+                $total *= .5
+                return [total, "count" & $pending]
+            }
+        ]
+    ]
+]`);
+            await compiler.compileType(repository, type);
+            compiler.verifyType(type);
+            const method = type.getAttribute('$methods').getAttribute('$label');
+            const result = await compiler.executeMethod({}, type, method, undefined, bali.list([bali.number(8)]));
+            expect(result.getItem(1).toString()).to.equal('4');
+            expect(result.getItem(2).toString()).to.equal('"countpending"');
+        });
+
+        it('should not assemble a call to an unknown intrinsic function', function() {
+            const type = bali.catalog();
+            const method = bali.catalog({
+                $instructions: bali.text('CALL $foo\nPULL RESULT\n'),
+                $addresses: bali.catalog()
+            });
+            try {
+                compiler.assembleMethod(type, method);
+                expect.fail('The assembler should have thrown an exception.');
+            } catch (exception) {
+                expect(exception.getAttribute('$exception').toString()).to.equal('$unknownIntrinsic');
+            }
+        });
+
+    });
+
+    describe('Test the intrinsic function extensions.', function() {
+
+        after(function() {
+            compiler.unregisterExtensions('/acme/statistics/v1');
+            compiler.unregisterExtensions('/acme/currency/v1');
+        });
+
+        const source = `[
+    $parent: none
+    $functions: [
+        $round: [
+            $parameters: [
+                $amount: [
+                    $type: /nebula/elements/Number/v1
+                ]
+            ]
+        ]
+    ]
+    $methods: [
+        $round: [
+            $procedure: {
+                return roundCurrency(amount, 2)
+            }
+        ]
+    ]
+]`;
+
+        it('should register a set of extensions in the reserved range', function() {
+            const first = compiler.registerExtensions('/acme/currency/v1', {
+                $roundCurrency: {
+                    minimum: 1,
+                    maximum: 2,
+                    argumentz: [['Number'], ['Number']],
+                    result: 'Number',
+                    implementation: function(amount, places) {
+                        const factor = Math.pow(10, places ? places.toInteger() : 0);
+                        return bali.number(Math.round(amount.getReal() * factor) / factor);
+                    }
+                }
+            });
+            expect(first).to.equal(EXTENSIONS_INDEX);
+            const signature = compiler.intrinsic('$roundCurrency');
+            expect(signature.index).to.equal(first);
+            expect(signature.extensions).to.equal('/acme/currency/v1');
+            expect(intrinsics.getName(first)).to.not.exist;  // registered with the compiler only
+            expect(
+                function() { compiler.registerExtensions('/acme/currency/v1', {}); }
+            ).to.throw();
+            expect(
+                function() { compiler.registerExtensions('/acme/hashing/v1', {$sum: {minimum: 2}}); }
+            ).to.throw();
+        });
+
+        it('should compile and execute a call to an extension', async function() {
+            const type = bali.component(source);
+            await compiler.compileType(repository, type);
+            expect(type.getAttribute('$extensions').toString()).to.equal('[' + EOL +
+                '    /acme/currency/v1: [' + EOL +
+                '        $roundCurrency: [' + EOL +
+                '            $index: 1024' + EOL +
+                '            $minimum: 1' + EOL +
+                '            $maximum: 2' + EOL +
+                '        ]' + EOL +
+                '    ]' + EOL +
+                ']');
+            compiler.verifyType(type);
+            const method = type.getAttribute('$methods').getAttribute('$round');
+            expect(compiler.disassembleMethod(type, method)).to.contain('CALL $roundCurrency WITH 2 ARGUMENTS');
+            const result = await compiler.executeMethod({}, type, method, undefined, bali.list([bali.number(3.14159)]));
+            expect(result.toString()).to.equal('3.14');
+        });
+
+        it('should pack the arguments for functions with more than three parameters', async function() {
+            compiler.registerExtensions('/acme/statistics/v1', {
+                $average: {
+                    minimum: 1,
+                    maximum: 6,
+                    result: 'Number',
+                    implementation: function() {
+                        const values = Array.prototype.map.call(arguments, function(number) {
+                            return number.getReal();
+                        });
+                        return bali.number(values.reduce(function(sum, value) {
+                            return sum + value;
+                        }) / values.length);
+                    }
+                }
+            });
+            const type = bali.component(`[
+    $parent: none
+    $functions: [
+        $few: [:]
+        $three: [:]
+        $many: [:]
+    ]
+    $methods: [
+        $few: [
+            $procedure: {
+                return average(4, 6)
+            }
+        ]
+        $three: [
+            $procedure: {
+                return average(4, 6, 8)
+            }
+        ]
+        $many: [
+            $procedure: {
+                return average(1, 2, 3, 4, 5, 6)
+            }
+        ]
+    ]
+]`);
+            await compiler.compileType(repository, type);
+            compiler.verifyType(type);
+            const methods = type.getAttribute('$methods');
+            const many = methods.getAttribute('$many');
+            expect(many.getAttribute('$instructions').getValue()).to.contain('CALL $average WITH 3 ARGUMENTS');
+            expect((await compiler.executeMethod({}, type, methods.getAttribute('$few'))).toString()).to.equal('5');
+            expect((await compiler.executeMethod({}, type, methods.getAttribute('$three'))).toString()).to.equal('6');
+            expect((await compiler.executeMethod({}, type, many)).toString()).to.equal('3.5');
+        });
+
+        it('should refuse to execute a type compiled against missing extensions', async function() {
+            const type = bali.component(source);
+            await compiler.compileType(repository, type);
+            type.setAttribute('$extensions', bali.catalog({'/acme/missing/v1': 1024}));
+            const method = type.getAttribute('$methods').getAttribute('$round');
+            try {
+                await compiler.executeMethod({}, type, method, undefined, bali.list([bali.number(3.14159)]));
+                expect.fail('The interpreter should have thrown an exception.');
+            } catch (exception) {
+                expect(exception.getAttribute('$exception').toString()).to.equal('$missingExtensions');
+            }
+        });
+
+        it('should keep the extensions registered with each compiler separate', async function() {
+            const other = require('../index').api(debug);
+            expect(other.intrinsic('$roundCurrency')).to.not.exist;
+            const type = bali.component(source);
+            try {
+                await other.compileType(repository, type);
+                expect.fail('The compiler should have thrown an exception.');
+            } catch (exception) {
+                expect(exception.getAttribute('$exception').toString()).to.equal('$unknownFunction');
+            }
+            await compiler.compileType(repository, type);
+            const method = type.getAttribute('$methods').getAttribute('$round');
+            try {
+                await other.executeMethod({}, type, method, undefined, bali.list([bali.number(3.14159)]));
+                expect.fail('The interpreter should have thrown an exception.');
+            } catch (exception) {
+                expect(exception.getAttribute('$exception').toString()).to.equal('$missingExtensions');
+            }
+        });
+
+        it('should refuse to execute a type compiled against extensions with other signatures', async function() {
+            const type = bali.component(source);
+            await compiler.compileType(repository, type);
+            const method = type.getAttribute('$methods').getAttribute('$round');
+            const implementation = compiler.intrinsic('$roundCurrency').implementation;
+            const variations = [
+                {$roundCurrency: {minimum: 1, maximum: 3, implementation: implementation}},
+                {$roundAmount: {minimum: 1, maximum: 2, implementation: implementation}},
+                {$roundCurrency: {minimum: 1, maximum: 2, implementation: implementation}, $truncate: {minimum: 1}}
+            ];
+            for (const functions of variations) {
+                const other = require('../index').api(debug);
+                expect(other.registerExtensions('/acme/currency/v1', functions)).to.equal(EXTENSIONS_INDEX);
+                try {
+                    await other.executeMethod({}, type, method, undefined, bali.list([bali.number(3.14159)]));
+                    expect.fail('The interpreter should have thrown an exception.');
+                } catch (exception) {
+                    expect(exception.getAttribute('$exception').toString()).to.equal('$missingExtensions');
+                }
+            }
+            const other = require('../index').api(debug);
+            other.registerExtensions('/acme/currency/v1', {
+                $roundCurrency: {minimum: 1, maximum: 2, implementation: implementation}
+            });
+            const result = await other.executeMethod({}, type, method, undefined, bali.list([bali.number(3.14159)]));
+            expect(result.toString()).to.equal('3.14');
+        });
+
+        it('should unregister a set of extensions and reuse its indices', async function() {
+            const functions = {
+                $double: {
+                    minimum: 1,
+                    implementation: function(number) {
+                        return bali.number(number.getReal() * 2);
+                    }
+                }
+            };
+            const first = compiler.registerExtensions('/acme/doubling/v1', functions);
+            const type = bali.component('[$parent: none, $functions: [$twice: [:]], $methods: [$twice: [$procedure: {return double(4)}]]]');
+            await compiler.compileType(repository, type);
+            const method = type.getAttribute('$methods').getAttribute('$twice');
+            compiler.unregisterExtensions('/acme/doubling/v1');
+            expect(compiler.intrinsic('$double')).to.not.exist;
+            try {
+                await compiler.executeMethod({}, type, method);
+                expect.fail('The interpreter should have thrown an exception.');
+            } catch (exception) {
+                expect(exception.getAttribute('$exception').toString()).to.equal('$missingExtensions');
+            }
+            expect(compiler.registerExtensions('/acme/doubling/v1', functions)).to.equal(first);
+            compiler.unregisterExtensions('/acme/doubling/v1');
+            expect(
+                function() { compiler.unregisterExtensions('/acme/doubling/v1'); }
+            ).to.throw();
+        });
+
+    });
+
+});
@@ -0,0 +1,128 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+
+const debug = 0;
+const pfs = require('fs').promises;
+const mocha = require('mocha');
+const expect = require('chai').expect;
+const bali = require('bali-component-framework').api(debug);
+const compiler = require('../index').api(debug);
+
+/*
+ * A repository that does not contain any types.
+ */
+const repository = {
+    retrieveContract: async function(name) {}
+};
+
+const bytecodeSize = function(method) {
+    const bytes = method.getAttribute('$bytecode').getValue();
+    return compiler.bytecode(bytes).length;
+};
+
+describe('Bali Nebula™ Type Compiler', function() {
+    var plain;
+    var optimized;
+    var warnings;
+
+    describe('Test the peephole optimizer.', function() {
+
+        it('should compile the test procedures with and without optimization', async function() {
+            const source = await pfs.readFile('test/interpreter/procedures.bali', 'utf8');
+            plain = bali.component(source);
+            warnings = await compiler.compileType(repository, plain);
+            optimized = bali.component(source);
+            await compiler.compileType(repository, optimized, {optimization: 2});
+        });
+
+        it('should generate smaller bytecode for the methods', function() {
+            var before = 0;
+            var after = 0;
+            const iterator = plain.getAttribute('$methods').getIterator();
+            while (iterator.hasNext()) {
+                const association = iterator.getNext();
+                const symbol = association.getKey();
+                const plainSize = bytecodeSize(association.getValue());
+                const optimizedSize = bytecodeSize(optimized.getAttribute('$methods').getAttribute(symbol));
+                expect(optimizedSize).to.be.at.most(plainSize);
+                before += plainSize;
+                after += optimizedSize;
+            }
+            expect(after).to.be.below(before);
+        });
+
+        it('should remove the fillers and temporary variables', function() {
+            const method = optimized.getAttribute('$methods').getAttribute('$total');
+            const instructions = method.getAttribute('$instructions').getValue();
+            expect(instructions).to.not.contain('JUMP TO NEXT INSTRUCTION');
+            const variables = method.getAttribute('$variables');
+            expect(variables.containsItem(bali.component('$result-1'))).to.equal(false);
+        });
+
+        it('should execute the optimized methods with the same results', async function() {
+            var method = optimized.getAttribute('$methods').getAttribute('$total');
+            var result = await compiler.executeMethod({}, optimized, method, undefined, bali.list([
+                bali.list([1, 2, 3, 4])
+            ]));
+            expect(result.toString()).to.equal('10');
+            method = optimized.getAttribute('$methods').getAttribute('$countdown');
+            result = await compiler.executeMethod({}, optimized, method, undefined, bali.list([3]));
+            expect(bali.areEqual(result, bali.list([3, 2, 1]))).to.equal(true);
+            method = optimized.getAttribute('$methods').getAttribute('$recover');
+            result = await compiler.executeMethod({}, optimized, method);
+            expect(result.toString()).to.equal('"recovered"');
+        });
+
+        it('should remove and report any unreachable statements', async function() {
+            const source = await pfs.readFile('test/interpreter/procedures.bali', 'utf8');
+            const type = bali.component(source);
+            const symbol = bali.component('$unreachable');
+            const method = type.getAttribute('$methods').getAttribute(symbol);
+            await compiler.compileMethod(repository, type, symbol, method);
+            expect(method.getAttribute('$instructions').getValue()).to.contain('$ignored');
+            const unreachable = compiler.optimizeMethod(type, method, 0);
+            expect(unreachable.getSize()).to.equal(1);
+            const statement = unreachable.getItem(1);
+            expect(statement.getAttribute('$label').getValue()).to.equal('2.EvaluateStatement');
+            expect(statement.getAttribute('$source').getValue()).to.equal('$ignored := 2');
+            expect(method.getAttribute('$instructions').getValue()).to.not.contain('$ignored');
+            compiler.assembleMethod(type, method);
+            const result = await compiler.executeMethod({}, type, method);
+            expect(result.toString()).to.equal('1');
+        });
+
+        it('should remove unreachable statements without optimization', async function() {
+            const method = plain.getAttribute('$methods').getAttribute('$unreachable');
+            expect(method.getAttribute('$instructions').getValue()).to.not.contain('$ignored');
+            const warning = warnings.getAttribute('$unreachable').getItem(-1);
+            expect(warning.getAttribute('$warning').toString()).to.equal('$unreachableCode');
+            expect(warning.getAttribute('$source').getValue()).to.equal('$ignored := 2');
+
+            // the warnings are optional but the statements are still removed
+            const source = await pfs.readFile('test/interpreter/procedures.bali', 'utf8');
+            const type = bali.component(source);
+            const quiet = await compiler.compileType(repository, type, {reportUnreachable: false});
+            expect(quiet.getAttribute('$unreachable').toArray().map(function(warning) {
+                return warning.getAttribute('$warning').toString();
+            })).to.not.contain('$unreachableCode');
+            const instructions = type.getAttribute('$methods').getAttribute('$unreachable').getAttribute('$instructions');
+            expect(instructions.getValue()).to.not.contain('$ignored');
+        });
+
+        it('should reject an invalid optimization level', function() {
+            const method = optimized.getAttribute('$methods').getAttribute('$total');
+            expect(
+                function() { compiler.optimizeMethod(optimized, method, 3); }
+            ).to.throw();
+        });
+
+    });
+
+});
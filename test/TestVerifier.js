@@ -0,0 +1,138 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+
+const debug = 0;
+const pfs = require('fs').promises;
+const mocha = require('mocha');
+const expect = require('chai').expect;
+const bali = require('bali-component-framework').api(debug);
+const compiler = require('../index').api(debug);
+const types = require('../src/Types');
+const Intrinsics = require('../src/Intrinsics').Intrinsics;
+const Decoder = require('../src/Decoder').Decoder;
+const intrinsics = new Intrinsics(debug);
+const decoder = new Decoder(intrinsics, debug);
+
+/*
+ * A repository that does not contain any types.
+ */
+const repository = {
+    retrieveContract: async function(name) {}
+};
+
+/*
+ * Replace the bytecode for a method with the specified instructions.
+ */
+const setBytecode = function(method, instructions) {
+    const bytecode = instructions.map(function(instruction) {
+        return decoder.encodeInstruction(instruction[0], instruction[1], instruction[2]);
+    });
+    const base16 = bali.decoder(2).base16Encode(compiler.bytes(bytecode));
+    method.setAttribute('$bytecode', bali.component("'" + base16 + "'" + '($encoding: $base16, $mediaType: "application/bcod")'));
+};
+
+/*
+ * Verify the method and return the name of the resulting exception.
+ */
+const verificationFailure = function(type, method) {
+    try {
+        compiler.verifyMethod(type, method);
+    } catch (exception) {
+        return exception.getAttribute('$exception').toString();
+    }
+};
+
+describe('Bali Nebula™ Type Compiler', function() {
+    var type;
+    var method;
+
+    describe('Test the bytecode verifier.', function() {
+
+        it('should verify the bytecode for the compiled test types', async function() {
+            const testFolder = 'test/compiler/';
+            const files = await pfs.readdir(testFolder);
+            for (var i = 0; i < files.length; i++) {
+                const file = files[i];
+                if (!file.endsWith('.bali')) continue;
+                const source = await pfs.readFile(testFolder + file, 'utf8');
+                compiler.verifyType(bali.component(source));
+            }
+            const source = await pfs.readFile('test/interpreter/procedures.bali', 'utf8');
+            type = bali.component(source);
+            await compiler.compileType(repository, type);
+            compiler.verifyType(type);
+            method = type.getAttribute('$methods').getAttribute('$total');
+        });
+
+        it('should reject addresses that are out of bounds', function() {
+            setBytecode(method, [
+                [types.JUMP, types.ON_ANY, 7]
+            ]);
+            expect(verificationFailure(type, method)).to.equal('$invalidAddress');
+            setBytecode(method, [
+                [types.PUSH, types.HANDLER, 3],
+                [types.PULL, types.HANDLER]
+            ]);
+            expect(verificationFailure(type, method)).to.equal('$invalidAddress');
+        });
+
+        it('should reject operands that do not refer to anything', function() {
+            setBytecode(method, [
+                [types.LOAD, types.VARIABLE, 99],
+                [types.PULL, types.RESULT]
+            ]);
+            expect(verificationFailure(type, method)).to.equal('$invalidOperand');
+            setBytecode(method, [
+                [types.PUSH, types.LITERAL, 999],
+                [types.PULL, types.RESULT]
+            ]);
+            expect(verificationFailure(type, method)).to.equal('$invalidOperand');
+        });
+
+        it('should reject intrinsic calls with the wrong number of arguments', function() {
+            setBytecode(method, [
+                [types.PUSH, types.LITERAL, 1],
+                [types.CALL, 1, intrinsics.getIndex('$sum')],
+                [types.PULL, types.RESULT]
+            ]);
+            expect(verificationFailure(type, method)).to.equal('$argumentCount');
+        });
+
+        it('should accept operands whose extended low bits are all zero', function() {
+            const literals = [];
+            for (var count = 0; count < 2048; count++) literals.push(count);
+            const extended = bali.catalog({$literals: bali.list(literals)});
+            const bytecode = decoder.encodeExtendedInstruction(types.PUSH, types.LITERAL, 2048).concat([
+                decoder.encodeInstruction(types.PULL, types.RESULT)
+            ]);
+            const base16 = bali.decoder(2).base16Encode(compiler.bytes(bytecode));
+            method.setAttribute('$bytecode', bali.component("'" + base16 + "'" + '($encoding: $base16, $mediaType: "application/bcod")'));
+            compiler.verifyMethod(extended, method);
+            expect(compiler.disassembleMethod(extended, method)).to.contain('PUSH LITERAL `2047`');
+        });
+
+        it('should reject an inconsistent component stack', function() {
+            setBytecode(method, [
+                [types.PULL, types.COMPONENT]
+            ]);
+            expect(verificationFailure(type, method)).to.equal('$stackUnderflow');
+            setBytecode(method, [
+                [types.PUSH, types.LITERAL, 1],
+                [types.JUMP, types.ON_FALSE, 4],
+                [types.PUSH, types.LITERAL, 1],
+                [types.PUSH, types.LITERAL, 1],
+                [types.PULL, types.RESULT]
+            ]);
+            expect(verificationFailure(type, method)).to.equal('$inconsistentStack');
+        });
+
+    });
+
+});